@@ -0,0 +1,290 @@
+/**
+ * Add To Cart Validator (Vanilla JS)
+ * Declarative checks for add to cart forms, read from the markup (min/max/step, required,
+ * maxlength, accept), with inline errors and focus on the first invalid field before any request
+ */
+
+class AddToCartValidator {
+    constructor() {
+        this.rules = new Map();
+        this.errorId = 0;
+        this.messages = {
+            quantityInvalid: 'Please enter a valid quantity.',
+            quantityMin: 'Please enter a quantity of at least %d.',
+            quantityMax: 'Please enter a quantity of no more than %d.',
+            quantityStep: 'Please enter a quantity in steps of %d.',
+            groupedEmpty: 'Please choose the quantity of items you wish to add to your cart.',
+            attributeRequired: 'Please select a %s.',
+            required: 'This field is required.',
+            maxlength: 'Please enter no more than %d characters.',
+            pattern: 'Please match the requested format.',
+            filetype: 'This file type is not allowed.',
+            filesize: 'This file is too large.',
+            ...((window.nasa_validation_params && window.nasa_validation_params.i18n) || {})
+        };
+
+        this.register('quantity', form => this.checkQuantities(form));
+        this.register('grouped', form => this.checkGrouped(form));
+        this.register('attributes', form => this.checkAttributes(form));
+        this.register('customFields', form => this.checkCustomFields(form));
+
+        // Errors go away as soon as the shopper edits the field
+        ['input', 'change'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                if (e.target.closest && e.target.closest('form.cart')) {
+                    this.clearField(e.target);
+                }
+            });
+        });
+
+        // Non AJAX submits (grouped forms, AJAX disabled) are checked too
+        document.addEventListener('submit', (e) => {
+            if (e.target.matches('form.cart') && !this.validate(e.target)) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+            }
+        }, true);
+    }
+
+    // A rule returns a list of { field, message, anchor, focus, related }, anchor and focus default to field
+    // and related fields are marked invalid along with it
+    register(name, rule) {
+        this.rules.set(name, rule);
+    }
+
+    unregister(name) {
+        this.rules.delete(name);
+    }
+
+    getErrors(form) {
+        const errors = [];
+
+        this.rules.forEach((rule, name) => {
+            try {
+                errors.push(...(rule(form, this) || []));
+            } catch (error) {
+                console.error(`Error in add to cart validation rule "${name}":`, error);
+            }
+        });
+
+        return errors.filter(error => error && error.field && error.message);
+    }
+
+    validate(form) {
+        this.clear(form);
+
+        const errors = this.getErrors(form);
+        if (!errors.length) return true;
+
+        errors.forEach(error => this.showError(error));
+
+        const first = errors[0];
+        (first.focus || first.field).focus();
+
+        form.dispatchEvent(new CustomEvent('nasa_add_to_cart_invalid', {
+            detail: { errors: errors },
+            bubbles: true
+        }));
+
+        return false;
+    }
+
+    format(message, value) {
+        return message.replace(/%[ds]/, value);
+    }
+
+    getQuantityInputs(form) {
+        return Array.from(form.querySelectorAll('.quantity input.qty, input[name="quantity"], input[name^="quantity["]'))
+            .filter((input, index, inputs) => input.type !== 'hidden' && !input.disabled && inputs.indexOf(input) === index);
+    }
+
+    // Grouped rows may be left empty, the grouped rule checks the total
+    checkQuantities(form) {
+        const errors = [];
+
+        this.getQuantityInputs(form).forEach(input => {
+            const raw = (input.value || '').trim();
+            if (raw === '' && input.name !== 'quantity') return;
+
+            const quantity = Number(raw);
+            const min = parseFloat(input.getAttribute('min'));
+            const max = parseFloat(input.getAttribute('max'));
+            const step = parseFloat(input.getAttribute('step'));
+            const error = (message) => errors.push({ field: input, message: message, anchor: input.closest('.quantity') || input });
+
+            if (raw === '' || !isFinite(quantity)) {
+                error(this.messages.quantityInvalid);
+            } else if (!isNaN(min) && quantity < min) {
+                error(this.format(this.messages.quantityMin, min));
+            } else if (!isNaN(max) && max > 0 && quantity > max) {
+                error(this.format(this.messages.quantityMax, max));
+            } else if (step > 0) {
+                const steps = (quantity - (isNaN(min) ? 0 : min)) / step;
+                if (Math.abs(steps - Math.round(steps)) > 1e-8) {
+                    error(this.format(this.messages.quantityStep, step));
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    checkGrouped(form) {
+        if (!form.classList.contains('grouped_form')) return [];
+
+        const inputs = form.querySelectorAll('input[name^="quantity["]');
+        if (!inputs.length) return [];
+
+        const total = Array.from(inputs).reduce((sum, input) => {
+            if (input.type === 'checkbox') return sum + (input.checked ? 1 : 0);
+            return sum + (parseFloat(input.value) || 0);
+        }, 0);
+
+        if (total > 0) return [];
+
+        return [{
+            field: inputs[0],
+            message: this.messages.groupedEmpty,
+            anchor: form.querySelector('.group_table') || inputs[0],
+            related: Array.from(inputs)
+        }];
+    }
+
+    // Swatches hide the select, so the error is announced on the swatch group instead
+    checkAttributes(form) {
+        const errors = [];
+
+        form.querySelectorAll('.variations select').forEach(select => {
+            if (select.value) return;
+
+            const name = select.getAttribute('data-attribute_name') || select.name;
+            const label = select.id && form.querySelector(`label[for="${select.id}"]`);
+            const wrap = form.querySelector(`.nasa-attr-ux_wrap[data-attribute_name="${name}"]`);
+            const swatch = wrap && wrap.querySelector('.nasa-attr-ux:not(.nasa-disable)');
+
+            errors.push({
+                field: select,
+                message: this.format(this.messages.attributeRequired, label ? label.textContent.trim() : name.replace(/^attribute_(pa_)?/, '')),
+                anchor: wrap || select,
+                focus: swatch || select
+            });
+        });
+
+        return errors;
+    }
+
+    checkCustomFields(form) {
+        const errors = [];
+
+        form.querySelectorAll('.nasa-ct-fields-add-to-cart').forEach(block => {
+            block.querySelectorAll('input:not([type="hidden"]), textarea, select').forEach(field => {
+                const message = this.getFieldError(field);
+                if (message) {
+                    errors.push({ field: field, message: message });
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    getFieldError(field) {
+        const isFile = field.type === 'file';
+        const value = isFile ? '' : (field.value || '').trim();
+        const isEmpty = isFile ? !field.files || !field.files.length : (field.type === 'checkbox' ? !field.checked : !value);
+
+        if (field.required && isEmpty) {
+            return this.messages.required;
+        }
+
+        if (isFile) {
+            if (isEmpty) return '';
+
+            const accept = (field.getAttribute('accept') || '').split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+            const maxSize = parseInt(field.getAttribute('data-max_size'), 10);
+
+            for (const file of Array.from(field.files)) {
+                if (accept.length && !AddToCartValidator.acceptsFile(accept, file)) {
+                    return this.messages.filetype;
+                }
+                if (maxSize > 0 && file.size > maxSize) {
+                    return this.messages.filesize;
+                }
+            }
+
+            return '';
+        }
+
+        const maxLength = parseInt(field.getAttribute('maxlength'), 10);
+        if (maxLength > 0 && value.length > maxLength) {
+            return this.format(this.messages.maxlength, maxLength);
+        }
+
+        const pattern = field.getAttribute('pattern');
+        if (pattern && value && !new RegExp(`^(?:${pattern})$`).test(value)) {
+            return field.getAttribute('title') || this.messages.pattern;
+        }
+
+        return '';
+    }
+
+    // accept tokens: ".png", "image/png" or "image/*"
+    static acceptsFile(accept, file) {
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+
+        return accept.some(token => {
+            if (token.startsWith('.')) return name.endsWith(token);
+            if (token.endsWith('/*')) return type.startsWith(token.slice(0, -1));
+            return type === token;
+        });
+    }
+
+    showError({ field, message, anchor, focus, related }) {
+        const error = document.createElement('span');
+        error.id = `nasa-field-error-${++this.errorId}`;
+        error.className = 'nasa-field-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = message;
+        (anchor || field).insertAdjacentElement('afterend', error);
+
+        [field, focus, ...(related || [])].filter(Boolean).forEach(element => {
+            const describedBy = (element.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+            element.setAttribute('aria-invalid', 'true');
+            element.setAttribute('aria-describedby', describedBy.concat(error.id).join(' '));
+        });
+    }
+
+    // Every element pointing at the same error is cleared with it, like all rows of a grouped form
+    clearField(field) {
+        if (!field || !field.getAttribute || field.getAttribute('aria-invalid') !== 'true') return;
+
+        (field.getAttribute('aria-describedby') || '').split(' ')
+            .filter(id => id.startsWith('nasa-field-error-'))
+            .forEach(id => this.removeError(document.getElementById(id)));
+    }
+
+    clear(form) {
+        form.querySelectorAll('.nasa-field-error').forEach(error => this.removeError(error));
+    }
+
+    removeError(error) {
+        if (!error) return;
+
+        document.querySelectorAll(`[aria-describedby~="${error.id}"]`).forEach(element => {
+            const describedBy = element.getAttribute('aria-describedby').split(' ').filter(id => id && id !== error.id);
+
+            if (describedBy.length) {
+                element.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                element.removeAttribute('aria-describedby');
+            }
+            element.removeAttribute('aria-invalid');
+        });
+
+        error.remove();
+    }
+}
+
+window.AddToCartValidator = AddToCartValidator;
+window.nasaAddToCartValidator = window.nasaAddToCartValidator || new AddToCartValidator();
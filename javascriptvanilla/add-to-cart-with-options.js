@@ -0,0 +1,135 @@
+/**
+ * Add To Cart With Options Bridge (Vanilla JS)
+ * Wraps the woocommerce/add-to-cart-with-options block store: submissions go through the theme's
+ * product type adapters (AJAX add to cart, added_to_cart events, cart sidebar) and state.isFormValid
+ * also follows AddToCartValidator. WooCommerce's own handleSubmit and isFormValid still run for what
+ * the theme does not handle. Registered as a script module by elessi_add_to_cart_with_options_bridge(),
+ * enqueued after the block's own view module so that store exists when this one wraps it
+ */
+
+import { store, getContext, getElement } from '@wordpress/interactivity';
+
+// Reads the block context of a form from outside a directive (input / change listeners)
+const readContext = (form) => {
+    try {
+        return JSON.parse(form.getAttribute('data-wp-context') || '{}');
+    } catch (error) {
+        return {};
+    }
+};
+
+// selectedAttributes: [{ attribute: 'pa_color' | 'attribute_pa_color' | 'Color', value }]
+const getAttributes = (context) => {
+    const attributes = {};
+
+    (context.selectedAttributes || []).forEach(({ attribute, value }) => {
+        const name = attribute.startsWith('attribute_') ? attribute : `attribute_${attribute.toLowerCase()}`;
+        attributes[name] = value;
+    });
+
+    return attributes;
+};
+
+const findVariation = (context) => {
+    const variations = context.availableVariations || [];
+    if (!variations.length || !window.WooCommerceVariations) return null;
+
+    return window.WooCommerceVariations.matchVariation(variations, getAttributes(context)) || null;
+};
+
+const getButton = (form) => form.querySelector('button[type="submit"], .single_add_to_cart_button, .wc-block-components-product-button__button');
+
+// Same payloads the product type adapters build from classic forms
+const buildPayload = (context, form) => {
+    if (context.productType === 'grouped') {
+        const body = new FormData(form);
+        body.set('add-to-cart', context.productId);
+
+        if (context.quantity && typeof context.quantity === 'object') {
+            Object.entries(context.quantity).forEach(([childId, quantity]) => {
+                body.set(`quantity[${childId}]`, quantity);
+            });
+        }
+
+        return body;
+    }
+
+    const payload = {
+        productId: context.productId,
+        quantity: context.quantity || 1,
+        variationId: 0,
+        attributes: {},
+        extraParams: {}
+    };
+
+    if (context.productType === 'variable') {
+        const variation = findVariation(context);
+        if (!variation) return null;
+
+        payload.variationId = variation.variation_id;
+        payload.attributes = getAttributes(context);
+    }
+
+    return payload;
+};
+
+const namespace = 'woocommerce/add-to-cart-with-options';
+
+// WooCommerce's action and getter, read before this store is merged over them
+const core = store(namespace);
+const coreSubmit = core.actions && core.actions.handleSubmit;
+const coreIsFormValid = Object.getOwnPropertyDescriptor(core.state, 'isFormValid');
+
+const { state } = store(namespace, {
+    state: {
+        // Per product, false while AddToCartValidator reports errors for the form
+        nasaValidity: {},
+
+        get isFormValid() {
+            const context = getContext();
+            if (state.nasaValidity[context.productId] === false) return false;
+
+            if (coreIsFormValid && coreIsFormValid.get) {
+                return coreIsFormValid.get.call(state);
+            }
+
+            return context.productType !== 'variable' || !!findVariation(context);
+        }
+    },
+    actions: {
+        handleSubmit(event) {
+            const context = getContext();
+            const { ref: form } = getElement();
+            const types = window.nasaProductTypes;
+
+            // External products, and pages without the theme scripts, go to WooCommerce's handler
+            if (!types || context.productType === 'external') {
+                return coreSubmit ? coreSubmit(event) : undefined;
+            }
+
+            event.preventDefault();
+
+            const validator = window.nasaAddToCartValidator;
+            const isValid = !validator || validator.validate(form);
+            state.nasaValidity[context.productId] = isValid;
+            if (!isValid) return;
+
+            const button = getButton(form);
+            const payload = buildPayload(context, form);
+            if (!button || !payload || button.classList.contains('loading')) return;
+
+            types.get(context.productType).submit(payload, button, form);
+        }
+    }
+});
+
+// Validity follows every edit, errors are only rendered on submit
+['input', 'change'].forEach(type => {
+    document.addEventListener(type, (e) => {
+        const form = e.target.closest && e.target.closest('[data-wp-interactive="woocommerce/add-to-cart-with-options"]');
+        if (!form || !window.nasaAddToCartValidator) return;
+
+        const context = readContext(form);
+        state.nasaValidity[context.productId] = !window.nasaAddToCartValidator.getErrors(form).length;
+    });
+});
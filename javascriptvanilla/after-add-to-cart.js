@@ -0,0 +1,202 @@
+/**
+ * After Add To Cart Strategies (Vanilla JS)
+ * Decides what happens once a product is added (sidebar, popup, popup v2, notice, toast, redirect
+ * to cart or checkout, nothing) per page, product type and device, from localized params
+ */
+
+class AfterAddToCartStrategies {
+    // nasa_after_add_to_cart_params: { default: 'sidebar', pages: { cart: 'notice', product: 'toast' },
+    // product_types: { grouped: 'redirect_cart' }, devices: { mobile: 'toast' }, cart_url, checkout_url, i18n }
+    constructor(params = window.nasa_after_add_to_cart_params || {}) {
+        this.strategies = new Map();
+        this.params = params;
+        this.pages = { cart: 'notice', ...(params.pages || {}) };
+        this.productTypes = params.product_types || {};
+        this.devices = params.devices || {};
+        this.labels = {
+            added: 'Product added to your cart.',
+            viewCart: 'View cart',
+            ...(params.i18n || {})
+        };
+
+        this.register('silent', () => {});
+        this.register('toast', (context) => this.showToast(context));
+        this.register('redirect_cart', () => this.redirect('cart'));
+        this.register('redirect_checkout', () => this.redirect('checkout'));
+
+        // One run per added_to_cart, whichever script fired it
+        if (window.nasaEventBus) {
+            window.nasaEventBus.on('added_to_cart', (payload) => this.run(payload));
+        } else {
+            document.addEventListener('added_to_cart', (e) => this.run(AfterAddToCartStrategies.fromDetail(e.detail)));
+
+            // WooCommerce and the theme's jQuery scripts trigger it with jQuery only
+            if (window.jQuery) {
+                this.bindJQuery();
+            } else {
+                document.addEventListener('DOMContentLoaded', () => this.bindJQuery());
+            }
+        }
+    }
+
+    // Native dispatches reach jQuery handlers too (event.originalEvent), those already ran above
+    bindJQuery() {
+        const $ = window.jQuery;
+        if (!$) return;
+
+        $(document.body).on('added_to_cart', (e, fragments, cartHash, $button) => {
+            if (e.originalEvent) return;
+
+            this.run({ fragments: fragments, cartHash: cartHash, button: $button && $button.jquery ? $button[0] : $button });
+        });
+    }
+
+    // strategy(context), context: { fragments, cartHash, button, productType, message }
+    register(name, strategy) {
+        this.strategies.set(name, strategy);
+    }
+
+    unregister(name) {
+        this.strategies.delete(name);
+    }
+
+    has(name) {
+        return this.strategies.has(name);
+    }
+
+    // [fragments, cart_hash, button] as WooCommerce passes them, or a { fragments, cartHash, button } payload
+    static fromDetail(detail) {
+        if (Array.isArray(detail)) {
+            return { fragments: detail[0], cartHash: detail[1], button: detail[2] };
+        }
+
+        return { ...(detail || {}) };
+    }
+
+    getPage() {
+        if (document.querySelector('form.woocommerce-cart-form')) return 'cart';
+        if (document.querySelector('form.woocommerce-checkout')) return 'checkout';
+        if (document.body.classList.contains('single-product')) return 'product';
+
+        return 'other';
+    }
+
+    getDevice() {
+        return document.body.classList.contains('nasa-in-mobile') ? 'mobile' : 'desktop';
+    }
+
+    getProductType(button) {
+        if (!button || !button.closest) return '';
+
+        const form = button.closest('form.cart');
+        if (form && window.nasaProductTypes) {
+            return window.nasaProductTypes.resolve(form).type;
+        }
+
+        return button.getAttribute('data-product_type') || button.getAttribute('data-type') || '';
+    }
+
+    // Page beats product type beats device, then the theme option
+    resolve(context = {}) {
+        // Swapping a variation from the mini cart always goes back to the sidebar
+        if (document.querySelector('#cart-sidebar.nasa_update_from_mini_cart')) return 'sidebar';
+
+        // Adds without a button (offline replays) never navigate away, the sidebar shows them outside the cart page
+        if (!context.button) {
+            return [this.pages[this.getPage()], 'sidebar']
+                .find(name => name && !name.startsWith('redirect_') && this.strategies.has(name)) || 'silent';
+        }
+
+        const themeOption = document.querySelector('input[name="nasa-event-after-add-to-cart"]');
+        const candidates = [
+            this.pages[this.getPage()],
+            this.productTypes[context.productType],
+            this.devices[this.getDevice()],
+            this.params.default,
+            themeOption && themeOption.value,
+            'sidebar'
+        ];
+
+        return candidates.find(name => name && this.strategies.has(name)) || 'silent';
+    }
+
+    run(payload = {}) {
+        const context = {
+            ...payload,
+            fragments: payload.fragments || {},
+            productType: payload.productType || this.getProductType(payload.button)
+        };
+        context.message = context.message || context.fragments['.woocommerce-message'] || '';
+
+        // Quick views close whatever comes next
+        document.body.dispatchEvent(new CustomEvent('ns_magnific_popup_close', { bubbles: true }));
+
+        const name = this.resolve(context);
+        try {
+            this.strategies.get(name)(context);
+        } catch (error) {
+            console.error(`Error in after add to cart strategy "${name}":`, error);
+        }
+
+        return name;
+    }
+
+    getUrl(page) {
+        const wcParams = window.wc_add_to_cart_params || {};
+        return page === 'cart' ? this.params.cart_url || wcParams.cart_url : this.params.checkout_url;
+    }
+
+    redirect(page) {
+        const url = this.getUrl(page);
+        if (url) {
+            window.location.href = url;
+        }
+    }
+
+    // A WooCommerce message in the theme's notice markup, closed after toast_duration
+    showToast(context) {
+        document.querySelectorAll('.nasa-close-notice').forEach(close => close.click());
+
+        const notice = document.createElement('div');
+        notice.className = 'woocommerce-message';
+        notice.setAttribute('role', 'status');
+
+        // WooCommerce messages carry their own "View cart" button
+        const holder = document.createElement('div');
+        holder.innerHTML = context.message;
+        holder.querySelectorAll('a').forEach(link => link.remove());
+
+        const cartUrl = this.getUrl('cart');
+        if (cartUrl) {
+            const link = document.createElement('a');
+            link.className = 'button wc-forward';
+            link.href = cartUrl;
+            link.textContent = this.labels.viewCart;
+            notice.appendChild(link);
+        }
+
+        notice.appendChild(document.createTextNode(holder.textContent.trim() || this.labels.added));
+
+        const close = document.createElement('a');
+        close.className = 'nasa-close-notice';
+        close.href = 'javascript:void(0);';
+        close.innerHTML = AfterAddToCartStrategies.closeIcon;
+        close.addEventListener('click', () => notice.remove());
+        notice.appendChild(close);
+
+        const wrapper = document.querySelector('.woocommerce-notices-wrapper');
+        if (wrapper) {
+            wrapper.appendChild(notice);
+        } else {
+            document.body.insertAdjacentElement('afterbegin', notice);
+        }
+
+        setTimeout(() => notice.remove(), parseInt(this.params.toast_duration, 10) || 4000);
+    }
+}
+
+// Same icon as the theme's notices
+AfterAddToCartStrategies.closeIcon = '<svg width="30" height="30" viewBox="0 0 32 32"><path d="M10.722 9.969l-0.754 0.754 5.278 5.278-5.253 5.253 0.754 0.754 5.253-5.253 5.253 5.253 0.754-0.754-5.253-5.253 5.278-5.278-0.754-0.754-5.278 5.278z" fill="currentColor"/></svg>';
+
+window.AfterAddToCartStrategies = AfterAddToCartStrategies;
+window.nasaAfterAddToCart = window.nasaAfterAddToCart || new AfterAddToCartStrategies();
@@ -0,0 +1,345 @@
+/**
+ * Bulk Discount Table (Vanilla JS)
+ * Reads a variation's quantity tiers out of the table nasa_render_bulk_dsct_variation returns, renders
+ * the tier table, highlights the tier of the current quantity and shows the live unit price and savings
+ * next to the add to cart button. When no tier can be read the server's table is shown as before
+ */
+
+class BulkDiscountTable {
+    constructor(controller) {
+        this.controller = controller;
+        this.form = controller.form;
+        this.wrap = this.form.closest('.product-info') || this.form.parentElement;
+        this.variation = null;
+        this.tiers = [];
+        this.content = '';
+        this.labels = {
+            quantity: 'Quantity',
+            discount: 'Discount',
+            unitPrice: 'Price per item',
+            save: 'You save',
+            ...((window.nasa_bulk_dsct_params && window.nasa_bulk_dsct_params.i18n) || {})
+        };
+
+        controller.listen(this.form, 'show_variation', (e) => this.load(e.detail.variation));
+        controller.listen(this.form, 'hide_variation', () => this.clear());
+        controller.listen(this.form, 'reset_data', () => this.clear());
+
+        const quantityInput = this.getQuantityInput();
+        if (quantityInput) {
+            controller.listen(quantityInput, 'input', () => this.update());
+            controller.listen(quantityInput, 'change', () => this.update());
+        }
+    }
+
+    static isEnabled(variation) {
+        return !!(variation && variation.nasa_custom_fields && variation.nasa_custom_fields.dsct_allow === '1');
+    }
+
+    // { success: '1', content } per variation, cached for the page lifetime as { tiers, content }
+    static fetchTiers(variationId) {
+        if (BulkDiscountTable.cache.has(variationId)) {
+            return BulkDiscountTable.cache.get(variationId);
+        }
+
+        const endpoints = window.nasaCartEndpoints;
+        const request = fetch(endpoints.getUrl('nasa_render_bulk_dsct_variation'), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: endpoints.prepareBody('nasa_render_bulk_dsct_variation', new URLSearchParams({
+                product_id: variationId
+            }))
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data || data.success !== '1') {
+                    return { tiers: [], content: '' };
+                }
+
+                const content = data.content || '';
+                return { tiers: BulkDiscountTable.parseTiers(content), content: content };
+            })
+            .catch(error => {
+                // A failed request is retried the next time the variation is shown
+                BulkDiscountTable.cache.delete(variationId);
+                throw error;
+            });
+
+        BulkDiscountTable.cache.set(variationId, request);
+        return request;
+    }
+
+    // One tier per row (tr or li) of the server's table: data-min, data-max, data-type and data-amount when
+    // the row has them, otherwise the quantity range ("5 - 9", "10+") of its first cell and the discount
+    // of the rest ("10%", "-$2.00" off each item, "$12.00" per item)
+    static parseTiers(content) {
+        const holder = document.createElement('div');
+        holder.innerHTML = content;
+
+        const described = holder.querySelectorAll('[data-min]');
+        if (described.length) {
+            return BulkDiscountTable.sortTiers(Array.from(described).map(row => ({
+                min: parseInt(row.getAttribute('data-min'), 10) || 1,
+                max: parseInt(row.getAttribute('data-max'), 10) || 0,
+                type: row.getAttribute('data-type') || 'percent',
+                amount: parseFloat(row.getAttribute('data-amount')) || 0
+            })));
+        }
+
+        const rows = holder.querySelectorAll('tr').length ? holder.querySelectorAll('tr') : holder.querySelectorAll('li');
+
+        return BulkDiscountTable.sortTiers(Array.from(rows).map(row => {
+            const cells = Array.from(row.children);
+            const quantityText = (cells.length > 1 ? cells[0] : row).textContent;
+
+            const range = quantityText.match(/(\d+)\s*(?:-|–|~|to)\s*(\d+)/) || quantityText.match(/(\d+)\s*\+?/);
+            if (!range || row.querySelector('th')) return null;
+
+            const discountText = cells.length > 1
+                ? cells.slice(1).map(cell => cell.textContent).join(' ')
+                : quantityText.replace(range[0], '');
+
+            const tier = {
+                min: parseInt(range[1], 10) || 1,
+                max: parseInt(range[2], 10) || 0
+            };
+
+            const percent = discountText.match(/(\d+(?:[.,]\d+)?)\s*%/);
+            const amounts = cells.length > 1 ? cells.slice(1).flatMap(cell => Array.from(cell.querySelectorAll('.amount'))) : Array.from(row.querySelectorAll('.amount'));
+
+            if (percent) {
+                return { ...tier, type: 'percent', amount: parseFloat(percent[1].replace(',', '.')) };
+            }
+
+            if (amounts.length) {
+                const amountText = amounts[0].textContent;
+                const before = discountText.slice(0, discountText.indexOf(amountText));
+                const isOff = /^\s*[-−]/.test(amountText) || /[-−]\s*$/.test(before);
+                return { ...tier, type: isOff ? 'fixed' : 'price', amount: Math.abs(CartStore.parseAmount(amountText)) };
+            }
+
+            return null;
+        }));
+    }
+
+    static sortTiers(tiers) {
+        return tiers.filter(tier => tier && tier.amount > 0).sort((a, b) => a.min - b.min);
+    }
+
+    load(variation) {
+        this.variation = variation;
+
+        if (!BulkDiscountTable.isEnabled(variation)) {
+            this.clear();
+            return;
+        }
+
+        this.showBadge(variation);
+
+        BulkDiscountTable.fetchTiers(variation.variation_id)
+            .then(({ tiers, content }) => {
+                // Another variation was chosen meanwhile
+                if (this.variation !== variation) return;
+
+                this.tiers = tiers;
+                this.content = content;
+                this.render();
+                this.update();
+            })
+            .catch(() => {
+                // Nothing is shown, the request is retried the next time the variation is shown
+            });
+    }
+
+    // percent: % off, fixed: amount off each item, price: fixed unit price
+    getUnitPrice(tier) {
+        const basePrice = parseFloat(this.variation.display_price) || 0;
+        if (!tier) return basePrice;
+
+        if (tier.type === 'price') return tier.amount;
+        if (tier.type === 'fixed') return Math.max(0, basePrice - tier.amount);
+
+        return basePrice * (1 - tier.amount / 100);
+    }
+
+    getTier(quantity) {
+        return this.tiers.find(tier => quantity >= tier.min && (!tier.max || quantity <= tier.max)) || null;
+    }
+
+    // Formats like the variation's own price text, currency symbol and separators included
+    formatPrice(value) {
+        const doc = new DOMParser().parseFromString(`<div>${this.variation.price_html || ''}</div>`, 'text/html');
+        const amounts = doc.querySelectorAll('.amount');
+        const sample = amounts.length ? amounts[amounts.length - 1].textContent.trim() : String(this.variation.display_price);
+
+        return sample.replace(/\d[\d.,]*/, CartStore.formatAmount(value, sample));
+    }
+
+    formatDiscount(tier) {
+        if (tier.type === 'percent') return `${tier.amount}%`;
+        if (tier.type === 'fixed') return `-${this.formatPrice(tier.amount)}`;
+
+        return this.formatPrice(tier.amount);
+    }
+
+    render() {
+        const container = this.getContainer();
+        if (!container) return;
+
+        if (!this.tiers.length) {
+            this.hide();
+
+            // The server's own table, its script follows the quantity through the change event
+            if (this.content) {
+                container.innerHTML = this.content;
+                container.style.display = '';
+                this.getQuantityInput()?.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'nasa-bulk-dsct-table';
+
+        const head = table.createTHead().insertRow();
+        [this.labels.quantity, this.labels.discount, this.labels.unitPrice].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        this.tiers.forEach(tier => {
+            const row = body.insertRow();
+            row.setAttribute('data-min', tier.min);
+            row.setAttribute('data-max', tier.max);
+
+            [
+                tier.max ? `${tier.min} - ${tier.max}` : `${tier.min}+`,
+                this.formatDiscount(tier),
+                this.formatPrice(this.getUnitPrice(tier))
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+
+        container.innerHTML = '';
+        container.appendChild(table);
+        container.style.display = '';
+    }
+
+    update() {
+        if (!this.variation || !this.tiers.length) return;
+
+        const quantity = parseInt(this.getQuantityInput()?.value, 10) || 1;
+        const tier = this.getTier(quantity);
+
+        this.getContainer()?.querySelectorAll('tbody tr').forEach(row => {
+            const isActive = !!tier && parseInt(row.getAttribute('data-min'), 10) === tier.min;
+            row.classList.toggle('nasa-active', isActive);
+        });
+
+        const summary = this.getSummary();
+        if (summary) {
+            const basePrice = parseFloat(this.variation.display_price) || 0;
+            const unitPrice = this.getUnitPrice(tier);
+            const savings = (basePrice - unitPrice) * quantity;
+
+            summary.innerHTML = '';
+
+            const price = document.createElement('span');
+            price.className = 'nasa-bulk-dsct-unit-price';
+            price.textContent = `${this.labels.unitPrice}: ${this.formatPrice(unitPrice)}`;
+            summary.appendChild(price);
+
+            if (savings > 0) {
+                const save = document.createElement('span');
+                save.className = 'nasa-bulk-dsct-savings';
+                save.textContent = `${this.labels.save}: ${this.formatPrice(savings)}`;
+                summary.appendChild(save);
+            }
+        }
+
+        document.body.dispatchEvent(new CustomEvent('ns_bulk_discount_changed', {
+            detail: { variation: this.variation, tier: tier, quantity: quantity }
+        }));
+    }
+
+    clear() {
+        this.tiers = [];
+        this.content = '';
+        this.hide();
+
+        this.wrap.querySelectorAll('.price.nasa-bulk-price').forEach(price => price.remove());
+        this.wrap.querySelectorAll('.price.nasa-single-product-price').forEach(price => {
+            price.style.display = '';
+        });
+
+        this.removeBadge();
+    }
+
+    hide() {
+        const container = this.getContainer();
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+
+        this.form.querySelectorAll('.nasa-bulk-dsct-summary').forEach(summary => summary.remove());
+    }
+
+    // dsct_badge markup goes on the single product gallery, once
+    showBadge(variation) {
+        const badge = variation.nasa_custom_fields.dsct_badge;
+        const singleWrap = this.form.closest('.nasa-product-details-page');
+        const gallery = singleWrap && singleWrap.querySelector('.product-gallery');
+        if (!badge || !gallery) return;
+
+        let badges = gallery.querySelector('.nasa-badges-wrap');
+        if (!badges) {
+            badges = document.createElement('div');
+            badges.className = 'nasa-badges-wrap';
+            gallery.prepend(badges);
+        }
+
+        if (!badges.querySelector('.bulk-label')) {
+            badges.insertAdjacentHTML('beforeend', badge);
+        }
+    }
+
+    removeBadge() {
+        const singleWrap = this.form.closest('.nasa-product-details-page');
+        if (!singleWrap) return;
+
+        singleWrap.querySelectorAll('.nasa-badges-wrap .bulk-label').forEach(label => label.remove());
+    }
+
+    getContainer() {
+        return this.wrap.querySelector('.nasa-variation-bulk-dsct');
+    }
+
+    getQuantityInput() {
+        return this.form.querySelector('input[name="quantity"]');
+    }
+
+    getSummary() {
+        let summary = this.form.querySelector('.nasa-bulk-dsct-summary');
+        const button = this.form.querySelector('.single_add_to_cart_button');
+
+        if (!summary && button) {
+            summary = document.createElement('div');
+            summary.className = 'nasa-bulk-dsct-summary';
+            summary.setAttribute('aria-live', 'polite');
+            button.insertAdjacentElement('afterend', summary);
+        }
+
+        return summary;
+    }
+}
+
+BulkDiscountTable.cache = new Map();
+
+window.BulkDiscountTable = BulkDiscountTable;
@@ -0,0 +1,118 @@
+/**
+ * Cart Endpoints (Vanilla JS)
+ * Resolves every cart AJAX action to its wc-ajax or admin-ajax URL from the localized params,
+ * so subdirectory installs and language prefixes keep working
+ */
+
+class CartEndpoints {
+    constructor() {
+        // type 'wc' goes through ?wc-ajax=%%endpoint%%, 'admin' posts an action to admin-ajax.php
+        this.mappings = {
+            get_refreshed_fragments: { type: 'wc' },
+            add_to_cart: { type: 'wc' },
+            apply_coupon: { type: 'wc' },
+            remove_coupon: { type: 'wc' },
+            get_variation: { type: 'wc' },
+            nasa_ext_cart_ajax_nonce: { type: 'wc' },
+            nasa_mini_cart_note: { type: 'wc' },
+            nasa_quantity_mini_cart: { type: 'wc' },
+            nasa_quick_view: { type: 'wc' },
+            nasa_single_add_to_cart: { type: 'wc' },
+            nasa_render_bulk_dsct_variation: { type: 'wc' },
+            woocommerce_update_cart_item_quantity: { type: 'admin' },
+            woocommerce_get_refreshed_fragments: { type: 'admin' }
+        };
+
+        this.loadLocalizedMappings();
+    }
+
+    // nasa_ajax_params.endpoints may map an action to a URL string or to { type, endpoint, url }
+    loadLocalizedMappings() {
+        const params = window.nasa_ajax_params;
+        if (!params || !params.endpoints) return;
+
+        Object.entries(params.endpoints).forEach(([action, mapping]) => {
+            this.register(action, typeof mapping === 'string' ? { url: mapping } : mapping);
+        });
+    }
+
+    register(action, mapping = {}) {
+        this.mappings[action] = { ...(this.mappings[action] || { type: 'wc' }), ...mapping };
+    }
+
+    resolve(action) {
+        const mapping = this.mappings[action] || { type: 'wc' };
+        const endpoint = mapping.endpoint || action;
+
+        if (mapping.url) {
+            return { type: mapping.type || 'wc', action: endpoint, url: mapping.url.replace('%%endpoint%%', endpoint) };
+        }
+
+        if (mapping.type === 'admin') {
+            return { type: 'admin', action: endpoint, url: this.getAdminAjaxUrl() };
+        }
+
+        return { type: 'wc', action: endpoint, url: this.getWcAjaxUrl().replace('%%endpoint%%', endpoint) };
+    }
+
+    getUrl(action) {
+        return this.resolve(action).url;
+    }
+
+    // admin-ajax requests carry the action in the body
+    prepareBody(action, body = new FormData()) {
+        const resolved = this.resolve(action);
+
+        if (resolved.type === 'admin' && !body.has('action')) {
+            body.append('action', resolved.action);
+        }
+
+        return body;
+    }
+
+    getWcAjaxUrl() {
+        const sources = [
+            window.nasa_ajax_params,
+            window.wc_cart_fragments_params,
+            window.wc_add_to_cart_params,
+            window.woocommerce_params
+        ];
+
+        const params = sources.find(source => source && source.wc_ajax_url);
+        if (params) {
+            return params.wc_ajax_url.toString();
+        }
+
+        return `${this.getHomeUrl()}?wc-ajax=%%endpoint%%`;
+    }
+
+    getAdminAjaxUrl() {
+        if (window.nasa_ajax_params && window.nasa_ajax_params.ajax_url) {
+            return window.nasa_ajax_params.ajax_url.toString();
+        }
+
+        if (window.woocommerce_params && window.woocommerce_params.ajax_url) {
+            return window.woocommerce_params.ajax_url.toString();
+        }
+
+        if (window._wpUtilSettings && window._wpUtilSettings.ajax) {
+            return window._wpUtilSettings.ajax.url;
+        }
+
+        return `${this.getHomeUrl()}wp-admin/admin-ajax.php`;
+    }
+
+    // The REST API link WordPress prints in <head> carries the real site root
+    getHomeUrl() {
+        const restLink = document.querySelector('link[rel="https://api.w.org/"]');
+        if (restLink && restLink.href) {
+            return restLink.href.replace(/(index\.php\/?)?(\?rest_route=\/?|wp-json\/?)$/, '');
+        }
+
+        return `${window.location.origin}/`;
+    }
+}
+
+// Shared instance
+window.CartEndpoints = CartEndpoints;
+window.nasaCartEndpoints = window.nasaCartEndpoints || new CartEndpoints();
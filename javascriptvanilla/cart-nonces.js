@@ -0,0 +1,166 @@
+/**
+ * Cart Nonce Manager (Vanilla JS)
+ * Caches nonces per action, refreshes them through nasa_ext_cart_ajax_nonce when a cached page
+ * served an expired one, and retries the original request once with the new nonce
+ */
+
+class CartNonceManager {
+    constructor() {
+        // Where each action's nonce can be read from, besides the refreshed cache
+        this.sources = {
+            apply_coupon: {
+                selector: '#apply_coupon_nonce'
+            },
+            remove_coupon: {
+                selector: '#remove_coupon_nonce'
+            },
+            woocommerce_update_cart_item_quantity: {
+                selector: 'input[name="woocommerce-cart-nonce"], [data-cart-nonce]',
+                param: () => window.wc_cart_params && window.wc_cart_params.update_cart_nonce
+            },
+            // The remove_item links carry the same woocommerce-cart nonce as _wpnonce
+            remove_cart_item: {
+                selector: 'input[name="woocommerce-cart-nonce"], [data-cart-nonce]'
+            }
+        };
+        this.cache = new Map();
+        this.staleInDOM = new Set();
+        // Actions nasa_ext_cart_ajax_nonce has returned a value for
+        this.refreshable = new Set();
+        this.pendingRefresh = null;
+        this.endpoints = window.nasaCartEndpoints;
+    }
+
+    registerSource(action, source) {
+        this.sources[action] = source;
+    }
+
+    async get(action) {
+        const known = this.read(action);
+        if (known) return known;
+
+        await this.refresh();
+        return this.read(action) || '';
+    }
+
+    read(action) {
+        if (this.cache.has(action)) {
+            return this.cache.get(action);
+        }
+
+        const source = this.sources[action];
+        if (!source || this.staleInDOM.has(action)) return '';
+
+        const element = source.selector ? document.querySelector(source.selector) : null;
+        const value = element ? (element.value || element.getAttribute('data-cart-nonce')) : '';
+
+        return value || (source.param && source.param()) || '';
+    }
+
+    // The server rejected it, never serve the same value again. The page's value is only dropped
+    // for actions the refresh can replace (not the cart update nonce), otherwise it is all there is
+    invalidate(action) {
+        this.cache.delete(action);
+
+        if (this.refreshable.has(action)) {
+            this.staleInDOM.add(action);
+        }
+    }
+
+    // Concurrent callers share the same refresh request
+    refresh() {
+        if (this.pendingRefresh) return this.pendingRefresh;
+
+        this.pendingRefresh = fetch(this.endpoints.getUrl('nasa_ext_cart_ajax_nonce'), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: this.endpoints.prepareBody('nasa_ext_cart_ajax_nonce', new URLSearchParams())
+        })
+            .then(response => {
+                const contentType = response.headers.get('content-type');
+                if (!contentType || !contentType.includes('application/json')) {
+                    console.warn('Nonce response is not JSON');
+                    return null;
+                }
+                return response.json();
+            })
+            .then(data => {
+                if (data && data.fds) {
+                    this.storeFromHTML(data.fds);
+                }
+                return data;
+            })
+            .catch(error => {
+                console.error('Error loading nonces:', error);
+                return null;
+            })
+            .finally(() => {
+                this.pendingRefresh = null;
+            });
+
+        return this.pendingRefresh;
+    }
+
+    storeFromHTML(html) {
+        const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+
+        Object.entries(this.sources).forEach(([action, source]) => {
+            const element = source.selector ? doc.querySelector(source.selector) : null;
+            const value = element ? (element.value || element.getAttribute('data-cart-nonce')) : '';
+
+            if (value) {
+                this.cache.set(action, value);
+                this.staleInDOM.delete(action);
+                this.refreshable.add(action);
+            }
+        });
+
+        // Keep the mini cart markup in step for scripts that still read the inputs
+        const cartSidebar = document.getElementById('cart-sidebar');
+        if (cartSidebar) {
+            cartSidebar.querySelectorAll('.mini-cart-ajax-nonce').forEach(element => element.remove());
+            cartSidebar.insertAdjacentHTML('beforeend', html);
+        }
+    }
+
+    // makeRequest receives the nonce and must resolve to a fetch Response
+    async request(action, makeRequest) {
+        const nonce = await this.get(action);
+        const response = await makeRequest(nonce);
+
+        if (!(await CartNonceManager.isNonceFailure(response))) {
+            return response;
+        }
+
+        this.invalidate(action);
+        await this.refresh();
+
+        // Without a new nonce (the page's own value is all there is) a retry would be rejected again
+        const fresh = this.read(action);
+        if (!fresh || fresh === nonce) {
+            return response;
+        }
+
+        return makeRequest(fresh);
+    }
+
+    // WordPress answers -1 (admin-ajax) or 403 when check_ajax_referer fails
+    static async isNonceFailure(response) {
+        if (!response) return false;
+        if (response.status === 403) return true;
+
+        try {
+            const text = await response.clone().text();
+            return text.trim() === '-1';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// Shared instance
+window.CartNonceManager = CartNonceManager;
+window.nasaCartNonces = window.nasaCartNonces || new CartNonceManager();
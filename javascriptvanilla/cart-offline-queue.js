@@ -0,0 +1,284 @@
+/**
+ * Cart Offline Queue (Vanilla JS)
+ * Persists add/update/remove cart actions in IndexedDB while offline and replays them on reconnect
+ */
+
+class CartOfflineQueue {
+    constructor() {
+        this.dbName = 'nasa-cart-offline';
+        this.storeName = 'pending-actions';
+        this.db = null;
+        this.memory = [];
+        this.handlers = {};
+        this.pending = [];
+        this.replaying = false;
+        this.renderTimer = null;
+        this.store = window.nasaCartStore;
+        this.maxAge = 24 * 60 * 60 * 1000;
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.replay());
+        window.addEventListener('offline', () => this.renderPending());
+
+        // Fragment swaps wipe the pending rows, put them back afterwards
+        document.addEventListener('wc_fragments_refreshed', () => this.scheduleRender());
+        document.body?.addEventListener('wc_fragments_refreshed', () => this.scheduleRender());
+        if (this.store) {
+            this.store.subscribe(() => this.scheduleRender());
+        }
+
+        const start = () => {
+            this.loadPending().then(() => {
+                if (this.isOnline() && this.pending.length) {
+                    this.replay();
+                } else {
+                    this.renderPending();
+                }
+            });
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', start);
+        } else {
+            start();
+        }
+    }
+
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    // handler receives the stored payload and must return a promise that rejects on failure
+    registerHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    // Actions sharing a key (e.g. the same cart line) replace each other
+    async enqueue(action) {
+        const entry = {
+            type: action.type,
+            key: action.key || null,
+            label: action.label || '',
+            payload: action.payload || {},
+            createdAt: Date.now()
+        };
+
+        if (entry.key) {
+            const superseded = this.pending.filter(item => item.key === entry.key);
+            for (const item of superseded) {
+                await this.remove(item.id);
+            }
+        }
+
+        entry.id = await this.add(entry);
+        await this.loadPending();
+        this.renderPending();
+
+        document.dispatchEvent(new CustomEvent('nasa_cart_offline_queued', { detail: entry }));
+
+        return entry;
+    }
+
+    async replay() {
+        if (this.replaying || !this.isOnline()) return;
+
+        this.replaying = true;
+        const synced = [];
+        const failed = [];
+
+        try {
+            await this.loadPending();
+
+            // Strictly in the order the shopper made the changes
+            for (const entry of this.pending) {
+                const handler = this.handlers[entry.type];
+
+                // Changes nobody replayed in time are dropped, the cart has moved on since
+                if (Date.now() - entry.createdAt > this.maxAge) {
+                    failed.push({ ...entry, message: 'expired' });
+                    await this.remove(entry.id);
+                    continue;
+                }
+
+                // The script that replays this type is not on this page, keep it until it expires
+                if (!handler) continue;
+
+                try {
+                    await handler(entry.payload);
+                    synced.push(entry);
+                } catch (error) {
+                    if (CartOfflineQueue.isNetworkError(error)) {
+                        // Connection dropped again, keep the rest for the next online event
+                        break;
+                    }
+                    failed.push({ ...entry, message: error.message });
+                }
+
+                await this.remove(entry.id);
+            }
+
+            await this.loadPending();
+        } finally {
+            this.replaying = false;
+        }
+
+        // Failed actions leave optimistic rows behind too, resync either way
+        if (this.store && (synced.length || failed.length)) {
+            try {
+                await this.store.fetchFragments({ source: 'offline' });
+            } catch (error) {
+                console.error('Error refreshing cart after offline sync:', error);
+            }
+        }
+
+        this.renderPending();
+        if (failed.length) {
+            this.renderFailures(failed);
+        }
+
+        document.dispatchEvent(new CustomEvent('nasa_cart_offline_synced', {
+            detail: { synced: synced, failed: failed }
+        }));
+    }
+
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.renderPending(), 0);
+    }
+
+    renderPending() {
+        const cartContent = document.querySelector('#cart-sidebar .widget_shopping_cart_content');
+        if (!cartContent) return;
+
+        cartContent.querySelectorAll('.nasa-pending-cart-items').forEach(list => list.remove());
+
+        // Updates and removals are shown on their own line by the sidebar
+        const additions = this.pending.filter(entry => entry.type === 'add');
+        if (!additions.length) return;
+
+        const list = document.createElement('ul');
+        list.className = 'nasa-pending-cart-items cart_list';
+
+        additions.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'mini-cart-item nasa-pending';
+            item.setAttribute('data-pending-id', entry.id);
+
+            const name = document.createElement('span');
+            name.className = 'nasa-pending-name';
+            name.textContent = `${entry.label} × ${entry.payload.quantity || 1}`;
+
+            const status = document.createElement('span');
+            status.className = 'nasa-pending-status';
+            status.textContent = 'Pending';
+
+            item.appendChild(name);
+            item.appendChild(status);
+            list.appendChild(item);
+        });
+
+        cartContent.prepend(list);
+    }
+
+    renderFailures(failed) {
+        const cartContent = document.querySelector('#cart-sidebar .widget_shopping_cart_content');
+        if (!cartContent) return;
+
+        const notice = document.createElement('div');
+        notice.className = 'nasa-pending-failed woocommerce-error';
+        notice.setAttribute('role', 'alert');
+        notice.textContent = 'These changes could not be synced: ' + failed.map(entry => {
+            return entry.message ? `${entry.label} (${entry.message})` : entry.label;
+        }).join(', ');
+
+        cartContent.prepend(notice);
+
+        setTimeout(() => {
+            notice.remove();
+        }, 10000);
+    }
+
+    hasPending(key) {
+        return this.pending.some(entry => entry.key === key);
+    }
+
+    // IndexedDB helpers, falling back to memory where IndexedDB is unavailable
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = window.indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                console.warn('Offline cart storage unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.openDatabase();
+        if (!db) return callback(null);
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = callback(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async add(entry) {
+        const result = await this.transaction('readwrite', objectStore => {
+            if (!objectStore) {
+                entry.id = (this.memory.length ? this.memory[this.memory.length - 1].id : 0) + 1;
+                this.memory.push(entry);
+                return null;
+            }
+            return objectStore.add(entry);
+        });
+
+        return result || entry.id;
+    }
+
+    async remove(id) {
+        await this.transaction('readwrite', objectStore => {
+            if (!objectStore) {
+                this.memory = this.memory.filter(entry => entry.id !== id);
+                return null;
+            }
+            return objectStore.delete(id);
+        });
+    }
+
+    async loadPending() {
+        const entries = await this.transaction('readonly', objectStore => {
+            return objectStore ? objectStore.getAll() : null;
+        });
+
+        this.pending = (entries || this.memory.slice()).sort((a, b) => a.id - b.id);
+        return this.pending;
+    }
+
+    // Callers flag the rejection of fetch() itself, anything thrown after a response arrived
+    // means the server may already have applied the action
+    static isNetworkError(error) {
+        return !!error && error.nasaNetworkError === true && error.name !== 'AbortError';
+    }
+}
+
+// Shared instance
+window.CartOfflineQueue = CartOfflineQueue;
+window.nasaCartOffline = window.nasaCartOffline || new CartOfflineQueue();
@@ -0,0 +1,119 @@
+/**
+ * Cart Request Queue (Vanilla JS)
+ * Serializes cart mutations, coalesces rapid requests per key and aborts superseded ones
+ */
+
+class CartRequestQueue {
+    constructor(options = {}) {
+        this.queue = [];
+        this.active = null;
+        this.sequence = 0;
+        this.delay = typeof options.delay === 'number' ? options.delay : 250;
+        this.timer = null;
+    }
+
+    // run receives an AbortSignal and must return a promise
+    enqueue(key, run, options = {}) {
+        const delay = typeof options.delay === 'number' ? options.delay : this.delay;
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                key: key,
+                run: run,
+                controller: new AbortController(),
+                sequence: ++this.sequence,
+                readyAt: Date.now() + delay,
+                resolve: resolve,
+                reject: reject
+            };
+
+            this.supersede(key);
+            this.queue.push(entry);
+            this.schedule();
+        });
+    }
+
+    // Drop the queued request for the same key and abort it if already sent
+    supersede(key) {
+        if (!key) return;
+
+        this.queue = this.queue.filter(entry => {
+            if (entry.key !== key) return true;
+
+            entry.reject(CartRequestQueue.abortError());
+            return false;
+        });
+
+        if (this.active && this.active.key === key) {
+            this.active.controller.abort();
+        }
+    }
+
+    schedule() {
+        if (this.active || this.timer || !this.queue.length) return;
+
+        // Wait for the coalescing window of the head entry
+        const wait = Math.max(0, this.queue[0].readyAt - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.process();
+        }, wait);
+    }
+
+    async process() {
+        if (this.active || !this.queue.length) return;
+
+        // The head was superseded while waiting, respect the new head's window
+        if (this.queue[0].readyAt > Date.now()) {
+            this.schedule();
+            return;
+        }
+
+        const entry = this.queue.shift();
+        this.active = entry;
+
+        try {
+            const result = await entry.run(entry.controller.signal);
+
+            if (entry.controller.signal.aborted) {
+                entry.reject(CartRequestQueue.abortError());
+            } else {
+                entry.resolve(result);
+            }
+        } catch (error) {
+            entry.reject(entry.controller.signal.aborted ? CartRequestQueue.abortError() : error);
+        } finally {
+            this.active = null;
+            this.schedule();
+        }
+    }
+
+    hasPending() {
+        return this.queue.length > 0;
+    }
+
+    isBusy() {
+        return !!this.active || this.queue.length > 0;
+    }
+
+    clear() {
+        this.queue.forEach(entry => entry.reject(CartRequestQueue.abortError()));
+        this.queue = [];
+
+        if (this.active) {
+            this.active.controller.abort();
+        }
+    }
+
+    static abortError() {
+        return new DOMException('Cart request superseded', 'AbortError');
+    }
+
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+}
+
+// Shared instance
+window.CartRequestQueue = CartRequestQueue;
+window.nasaCartRequestQueue = window.nasaCartRequestQueue || new CartRequestQueue();
@@ -0,0 +1,142 @@
+/**
+ * Cart Response (Vanilla JS)
+ * Normalizes cart AJAX responses (JSON, WooCommerce notice HTML or a bare admin-ajax -1)
+ * into { success, notices: [{ type, text }], fragments, redirect }
+ */
+
+class CartResponse {
+    static async parse(response) {
+        const text = await response.text();
+        const contentType = response.headers.get('content-type') || '';
+
+        return CartResponse.parseText(text, {
+            ok: response.ok,
+            status: response.status,
+            json: contentType.includes('application/json')
+        });
+    }
+
+    static parseText(text, options = {}) {
+        const { ok = true, status = 200 } = options;
+        const trimmed = (text || '').trim();
+
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            if (options.json) {
+                return CartResponse.failure(status, 'Invalid JSON response from server');
+            }
+            data = undefined;
+        }
+
+        // admin-ajax answers -1 / 0 when the nonce check or the action itself fails
+        if (data !== undefined && (data === null || typeof data !== 'object')) {
+            return { ...CartResponse.failure(status), data: data };
+        }
+
+        if (data !== undefined) {
+            return CartResponse.fromJSON(data, ok, status);
+        }
+
+        const notices = CartResponse.parseNotices(trimmed);
+
+        return {
+            success: ok && !notices.some(notice => notice.type === 'error'),
+            notices: notices,
+            fragments: null,
+            redirect: null,
+            status: status,
+            data: null
+        };
+    }
+
+    static fromJSON(data, ok, status) {
+        const payload = data.data && typeof data.data === 'object' ? data.data : {};
+        const success = ok && data.success !== false && !data.error;
+
+        let notices = [];
+        [data.notices, data.messages, payload.notices].forEach(html => {
+            if (typeof html === 'string') {
+                notices = notices.concat(CartResponse.parseNotices(html));
+            }
+        });
+
+        const message = data.message || payload.message || (typeof data.data === 'string' ? data.data : '');
+        if (message && !notices.length) {
+            notices = CartResponse.parseNotices(message);
+            if (!notices.length) {
+                notices.push({ type: success ? 'success' : 'error', text: CartResponse.toText(message) });
+            }
+        }
+
+        return {
+            success: success,
+            notices: notices,
+            fragments: data.fragments || payload.fragments || null,
+            // WooCommerce sends product_url with add-to-cart errors so the shopper can pick options
+            redirect: data.redirect || data.url_redirect || payload.redirect || (data.error && data.product_url) || null,
+            status: status,
+            data: data
+        };
+    }
+
+    static parseNotices(html) {
+        if (!html || html.indexOf('<') === -1) return [];
+
+        const doc = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html');
+        const types = {
+            'woocommerce-error': 'error',
+            'woocommerce-message': 'success',
+            'woocommerce-info': 'notice'
+        };
+        const notices = [];
+
+        Object.entries(types).forEach(([className, type]) => {
+            doc.querySelectorAll(`.${className}`).forEach(element => {
+                // Error notices list one message per <li>
+                const items = element.querySelectorAll('li');
+                const texts = items.length
+                    ? Array.from(items).map(item => CartResponse.cleanText(item))
+                    : [CartResponse.cleanText(element)];
+
+                texts.filter(Boolean).forEach(text => notices.push({ type: type, text: text }));
+            });
+        });
+
+        return notices;
+    }
+
+    // Drops the buttons WooCommerce puts inside notices (e.g. "View cart")
+    static cleanText(element) {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('a.button, .button, .nasa-close-notice').forEach(button => button.remove());
+
+        return clone.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    static toText(message) {
+        return new DOMParser().parseFromString(`<div>${message}</div>`, 'text/html').body.textContent.trim();
+    }
+
+    static failure(status, message = '') {
+        return {
+            success: false,
+            notices: message ? [{ type: 'error', text: message }] : [],
+            fragments: null,
+            redirect: null,
+            status: status,
+            data: null
+        };
+    }
+
+    // Joined notice texts of one type, or of every type when none is given
+    static getMessage(result, type = null) {
+        return result.notices
+            .filter(notice => !type || notice.type === type)
+            .map(notice => notice.text)
+            .join(' ');
+    }
+}
+
+window.CartResponse = CartResponse;
@@ -0,0 +1,240 @@
+/**
+ * Cart Store (Vanilla JS)
+ * Single observable cart state shared by the mini cart, cart sidebar and variations handlers
+ */
+
+class CartStore {
+    constructor() {
+        this.state = {
+            items: [],
+            totals: {},
+            coupons: [],
+            notes: '',
+            fragments: {},
+            hash: null,
+            isOpen: false,
+            updatedAt: 0
+        };
+        this.listeners = new Set();
+        this.pendingFetch = null;
+
+        this.init();
+    }
+
+    init() {
+        // Hydrate from the server rendered mini cart once the DOM is ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.hydrateFromDOM());
+        } else {
+            this.hydrateFromDOM();
+        }
+    }
+
+    hydrateFromDOM() {
+        const cartContent = document.querySelector('.widget_shopping_cart_content');
+        if (!cartContent) return;
+
+        this.setState(CartStore.parseCartHTML(cartContent.innerHTML), { source: 'dom' });
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(patch, meta = {}) {
+        const prevState = this.state;
+        this.state = Object.freeze({ ...prevState, ...patch, updatedAt: Date.now() });
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.state, prevState, meta);
+            } catch (error) {
+                console.error('Cart store listener failed:', error);
+            }
+        });
+
+        return this.state;
+    }
+
+    // Returns a function that removes the listener again
+    subscribe(listener) {
+        if (typeof listener !== 'function') return () => {};
+
+        this.listeners.add(listener);
+        return () => this.unsubscribe(listener);
+    }
+
+    unsubscribe(listener) {
+        this.listeners.delete(listener);
+    }
+
+    setOpen(isOpen, meta = {}) {
+        if (this.state.isOpen === !!isOpen) return this.state;
+
+        return this.setState({ isOpen: !!isOpen }, meta);
+    }
+
+    applyFragments(fragments, cartHash = null, meta = {}) {
+        if (!fragments) return this.state;
+
+        // Several handlers write the same response through, only notify once
+        const unchanged = Object.keys(fragments).every(selector => this.state.fragments[selector] === fragments[selector]);
+        if (unchanged && (!cartHash || cartHash === this.state.hash)) return this.state;
+
+        const contentKey = Object.keys(fragments).find(selector => selector.includes('widget_shopping_cart_content'));
+        const parsed = contentKey ? CartStore.parseCartHTML(fragments[contentKey]) : {};
+
+        return this.setState({
+            ...parsed,
+            fragments: { ...this.state.fragments, ...fragments },
+            hash: cartHash || this.state.hash
+        }, { ...meta, fragments: fragments });
+    }
+
+    // Concurrent callers share the same in-flight request
+    fetchFragments(meta = {}) {
+        if (this.pendingFetch) return this.pendingFetch;
+
+        this.pendingFetch = this.requestFragments()
+            .then(data => {
+                if (data && data.fragments) {
+                    this.applyFragments(data.fragments, data.cart_hash, meta);
+                }
+                return data;
+            })
+            .finally(() => {
+                this.pendingFetch = null;
+            });
+
+        return this.pendingFetch;
+    }
+
+    // Fetches fragments without applying them, callers decide whether the result is still current
+    requestFragments(signal = null) {
+        return fetch(this.getAjaxUrl('get_refreshed_fragments'), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            body: window.nasaCartEndpoints.prepareBody('get_refreshed_fragments', new URLSearchParams()),
+            signal: signal
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Fragment request failed with status ${response.status}`);
+            }
+            return response.json();
+        });
+    }
+
+    // Resolves with the line an add to cart created once its fragments reach the store: the key the
+    // response named, else a line of that product missing from knownKeys. Null when none shows up
+    waitForAddedItem(knownKeys, match = {}, timeout = 10000) {
+        const known = new Set(knownKeys || []);
+        const find = (state) => state.items.find(item => {
+            if (match.key) return item.key === match.key;
+            return !known.has(item.key) && (!match.productId || item.productId === parseInt(match.productId));
+        }) || null;
+
+        const found = find(this.state);
+        if (found) return Promise.resolve(found);
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                unsubscribe();
+                resolve(null);
+            }, timeout);
+
+            const unsubscribe = this.subscribe((state, prevState, meta) => {
+                const item = meta.fragments ? find(state) : null;
+                if (!item) return;
+
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(item);
+            });
+        });
+    }
+
+    getItem(cartItemKey) {
+        return this.state.items.find(item => item.key === cartItemKey) || null;
+    }
+
+    getItemCount() {
+        return this.state.items.reduce((count, item) => count + item.quantity, 0);
+    }
+
+    getAjaxUrl(endpoint) {
+        return window.nasaCartEndpoints.getUrl(endpoint);
+    }
+
+    static parseCartHTML(html) {
+        const doc = new DOMParser().parseFromString(`<div>${html || ''}</div>`, 'text/html');
+
+        const items = Array.from(doc.querySelectorAll('.woocommerce-mini-cart-item, .mini-cart-item')).map(element => {
+            const removeButton = element.querySelector('.remove_from_cart_button');
+            const quantityInput = element.querySelector('input.qty');
+            const nameElement = element.querySelector('.product-name, .mini-cart-item-name, a:not(.remove):not(.remove_from_cart_button)');
+            const priceElement = element.querySelector('.product-price .amount, .quantity .amount, .amount');
+
+            return {
+                key: element.getAttribute('data-cart_item_key') ||
+                    removeButton?.getAttribute('data-cart_item_key') || '',
+                productId: parseInt(removeButton?.getAttribute('data-product_id')) || 0,
+                name: nameElement ? nameElement.textContent.trim() : '',
+                quantity: quantityInput ? parseFloat(quantityInput.value) || 0 : 1,
+                priceHtml: priceElement ? priceElement.outerHTML : ''
+            };
+        }).filter(item => item.key);
+
+        const totals = {};
+        const subtotal = doc.querySelector('.woocommerce-mini-cart__total .amount, .total .amount');
+        if (subtotal) {
+            totals.subtotalHtml = subtotal.outerHTML;
+            totals.subtotal = CartStore.parseAmount(subtotal.textContent);
+        }
+
+        const coupons = Array.from(doc.querySelectorAll('.woocommerce-remove-coupon[data-coupon]'))
+            .map(button => button.getAttribute('data-coupon'));
+
+        const noteTextarea = doc.querySelector('textarea[name="order_comments"]');
+
+        const parsed = { items, totals, coupons };
+        if (noteTextarea) {
+            parsed.notes = noteTextarea.value;
+        }
+
+        return parsed;
+    }
+
+    static parseAmount(text) {
+        const numeric = (text || '').replace(/[^\d.,-]/g, '');
+        const decimalSeparator = window.woocommerce_params?.decimal_separator ||
+            (numeric.lastIndexOf(',') > numeric.lastIndexOf('.') ? ',' : '.');
+        const normalized = decimalSeparator === ','
+            ? numeric.replace(/\./g, '').replace(',', '.')
+            : numeric.replace(/,/g, '');
+
+        return parseFloat(normalized) || 0;
+    }
+
+    // Formats a number the way the sample amount text is formatted (separators, decimals)
+    static formatAmount(value, sample) {
+        const numeric = ((sample || '').match(/\d[\d.,]*/) || ['0'])[0];
+        const decimalSeparator = window.woocommerce_params?.decimal_separator ||
+            (numeric.lastIndexOf(',') > numeric.lastIndexOf('.') ? ',' : '.');
+        const thousandSeparator = decimalSeparator === ',' ? '.' : ',';
+        const decimalIndex = numeric.lastIndexOf(decimalSeparator);
+        const decimals = decimalIndex === -1 ? 0 : numeric.length - decimalIndex - 1;
+
+        const parts = Math.abs(value).toFixed(decimals).split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, thousandSeparator);
+
+        return (value < 0 ? '-' : '') + parts.join(decimalSeparator);
+    }
+}
+
+// Shared instance
+window.CartStore = CartStore;
+window.nasaCartStore = window.nasaCartStore || new CartStore();
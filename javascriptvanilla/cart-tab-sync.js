@@ -0,0 +1,90 @@
+/**
+ * Cart Tab Sync (Vanilla JS)
+ * Broadcasts cart fragments to every open tab, with a localStorage fallback where BroadcastChannel is missing
+ */
+
+class CartTabSync {
+    constructor() {
+        this.channelName = 'nasa-cart';
+        this.storageKey = 'nasa_cart_sync';
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.channel = null;
+        this.store = window.nasaCartStore;
+
+        this.init();
+    }
+
+    init() {
+        // Nothing to send or apply without the shared store
+        if (!this.store) return;
+
+        if (typeof window.BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.storageKey || !e.newValue) return;
+
+                try {
+                    this.receive(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.warn('Ignoring malformed cart sync message');
+                }
+            });
+        }
+
+        // Every fragment write made in this tab goes out, received ones are not echoed back
+        this.store.subscribe((state, prevState, meta) => {
+            if (!meta.fragments || meta.source === 'broadcast' || meta.source === 'dom') return;
+
+            this.broadcast(meta.fragments, state.hash);
+        });
+    }
+
+    broadcast(fragments, cartHash) {
+        const message = {
+            tabId: this.tabId,
+            fragments: fragments,
+            hash: cartHash,
+            time: Date.now()
+        };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // The storage event only fires in the other tabs
+                window.localStorage.setItem(this.storageKey, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.warn('Cart sync broadcast failed:', error);
+        }
+    }
+
+    receive(message) {
+        if (!message || message.tabId === this.tabId || !message.fragments) return;
+
+        this.persistForWooCommerce(message.fragments, message.hash);
+        this.store.applyFragments(message.fragments, message.hash, { source: 'broadcast' });
+    }
+
+    // Keeps WooCommerce's own sessionStorage cache from restoring stale fragments in this tab
+    persistForWooCommerce(fragments, cartHash) {
+        const params = window.wc_cart_fragments_params;
+        if (!params || !params.fragment_name) return;
+
+        try {
+            window.sessionStorage.setItem(params.fragment_name, JSON.stringify(fragments));
+            if (cartHash && params.cart_hash_key) {
+                window.sessionStorage.setItem(params.cart_hash_key, cartHash);
+                window.localStorage.setItem(params.cart_hash_key, cartHash);
+            }
+        } catch (error) {
+            // Storage can be unavailable in private mode
+        }
+    }
+}
+
+// Shared instance
+window.CartTabSync = CartTabSync;
+window.nasaCartTabSync = window.nasaCartTabSync || new CartTabSync();
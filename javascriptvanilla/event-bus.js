@@ -0,0 +1,252 @@
+/**
+ * Event Bus (Vanilla JS)
+ * One subscription point for theme and WooCommerce events whether they were fired with jQuery
+ * .trigger() or as DOM events: each side is re-fired on the other with the payload it expects
+ */
+
+class EventBus {
+    constructor() {
+        this.schemas = new Map();
+        this.handlers = new Map();
+        this.emitting = new Set();
+        this.boundNative = new Set();
+        this.boundJQuery = new Set();
+
+        this.onNative = (e) => this.handleNative(e);
+        this.onJQuery = (e, ...args) => this.handleJQuery(e, args);
+
+        EventBus.schemas.forEach((schema, name) => this.define(name, schema));
+
+        // jQuery may load after this file
+        document.addEventListener('DOMContentLoaded', () => {
+            this.schemas.forEach((schema, name) => this.bindJQuery(name));
+        });
+    }
+
+    // schema.args: positional jQuery arguments, "$" marks the ones jQuery handlers get wrapped
+    // schema.detail: 'array' when DOM listeners read those arguments from event.detail, 'object' for a payload object
+    // schema.declared: false for events only seen at runtime, their array detail is the jQuery arguments as is
+    // and their DOM dispatches are only reported to bus handlers, never taken over
+    define(name, schema = {}) {
+        // Taking over click, submit or change would stop the page's own listeners
+        if (EventBus.isNativeEvent(name)) {
+            throw new TypeError(`"${name}" is a native DOM event, the event bus only carries custom events`);
+        }
+
+        this.schemas.set(name, { args: [], detail: 'object', declared: true, ...schema });
+
+        if (!this.boundNative.has(name)) {
+            // Capturing on window runs before any listener on the target
+            window.addEventListener(name, this.onNative, true);
+            this.boundNative.add(name);
+        }
+
+        this.bindJQuery(name);
+    }
+
+    bindJQuery(name) {
+        const $ = window.jQuery;
+        if (!$ || this.boundJQuery.has(name)) return;
+
+        $(document).on(name, this.onJQuery);
+        this.boundJQuery.add(name);
+    }
+
+    getSchema(name) {
+        if (!this.schemas.has(name)) {
+            this.define(name, { declared: false });
+        }
+
+        return this.schemas.get(name);
+    }
+
+    // handler(payload, { name, target, source }), source is 'dom', 'jquery' or 'bus'
+    on(name, handler) {
+        this.getSchema(name);
+
+        if (!this.handlers.has(name)) {
+            this.handlers.set(name, new Set());
+        }
+        this.handlers.get(name).add(handler);
+
+        return () => this.off(name, handler);
+    }
+
+    once(name, handler) {
+        const unsubscribe = this.on(name, (payload, meta) => {
+            unsubscribe();
+            handler(payload, meta);
+        });
+
+        return unsubscribe;
+    }
+
+    off(name, handler) {
+        const handlers = this.handlers.get(name);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // detail: the positional array or payload object of the event, as DOM listeners should receive it
+    emit(name, detail, target = document.body, options = {}) {
+        const payload = this.toPayload(name, detail);
+        const $ = window.jQuery;
+
+        if ($) {
+            const args = !this.getSchema(name).declared && Array.isArray(detail) ? detail : this.toArgs(name, payload);
+
+            this.emitting.add(name);
+            try {
+                $(target).trigger(name, args);
+            } finally {
+                this.emitting.delete(name);
+            }
+        }
+
+        const event = this.dispatchNative(name, detail === undefined ? this.toDetail(name, payload) : detail, target, options.bubbles !== false);
+        this.notify(name, payload, target, options.source || 'bus');
+
+        return event;
+    }
+
+    // Declared events dispatched with dispatchEvent elsewhere are taken over so jQuery handlers get their arguments:
+    // the original stops here and a copy (event.nasaBridged) is dispatched in its place. Capturing window
+    // listeners added before the bus took the event on see both, they can skip the original by checking nasaBridged
+    handleNative(e) {
+        if (e.nasaBridged) return;
+
+        if (!window.jQuery || !this.schemas.get(e.type).declared) {
+            this.notify(e.type, this.toPayload(e.type, e.detail), e.target, 'dom');
+            return;
+        }
+
+        e.stopImmediatePropagation();
+
+        const event = this.emit(e.type, e.detail, e.target, { bubbles: e.bubbles, source: 'dom' });
+        if (event.defaultPrevented && e.cancelable) {
+            e.preventDefault();
+        }
+    }
+
+    // jQuery only triggers: their jQuery handlers already ran, DOM listeners still have to see them
+    handleJQuery(e, args) {
+        if (e.originalEvent || !e.isTrigger || this.emitting.has(e.type)) return;
+
+        const payload = this.fromArgs(e.type, args);
+        const detail = this.getSchema(e.type).declared || !args.length ? this.toDetail(e.type, payload) : args;
+        this.dispatchNative(e.type, detail, e.target, true);
+        this.notify(e.type, payload, e.target, 'jquery');
+    }
+
+    // jQuery.event.triggered keeps jQuery's own DOM listener from running its handlers a second time
+    dispatchNative(name, detail, target, bubbles) {
+        const $ = window.jQuery;
+        const event = new CustomEvent(name, {
+            detail: detail,
+            bubbles: bubbles,
+            cancelable: true
+        });
+        event.nasaBridged = true;
+
+        if ($) $.event.triggered = name;
+        try {
+            target.dispatchEvent(event);
+        } finally {
+            if ($) $.event.triggered = undefined;
+        }
+
+        return event;
+    }
+
+    notify(name, payload, target, source) {
+        const handlers = this.handlers.get(name);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(payload, { name: name, target: target, source: source });
+            } catch (error) {
+                console.error(`Error in "${name}" event handler:`, error);
+            }
+        });
+    }
+
+    static isNativeEvent(name) {
+        return `on${name}` in window || `on${name}` in document || EventBus.nativeEvents.includes(name);
+    }
+
+    static keyOf(arg) {
+        return arg.replace(/^\$/, '');
+    }
+
+    toPayload(name, detail) {
+        if (Array.isArray(detail)) return this.fromArgs(name, detail);
+        return detail && typeof detail === 'object' ? { ...detail } : {};
+    }
+
+    fromArgs(name, args) {
+        const payload = {};
+
+        this.getSchema(name).args.forEach((arg, index) => {
+            const value = args[index];
+            payload[EventBus.keyOf(arg)] = value && value.jquery ? value[0] : value;
+        });
+
+        return payload;
+    }
+
+    toArgs(name, payload) {
+        const $ = window.jQuery;
+
+        return this.getSchema(name).args.map(arg => {
+            const value = payload[EventBus.keyOf(arg)];
+            return arg.startsWith('$') && $ && value && !value.jquery ? $(value) : value;
+        });
+    }
+
+    toDetail(name, payload) {
+        const schema = this.getSchema(name);
+        return schema.detail === 'array' ? schema.args.map(arg => payload[EventBus.keyOf(arg)]) : payload;
+    }
+}
+
+// Payload shapes of the events the theme fires or listens to
+EventBus.schemas = new Map([
+    // WooCommerce cart events, jQuery passes (fragments, cart_hash, $button)
+    ['added_to_cart', { args: ['fragments', 'cartHash', '$button'], detail: 'array' }],
+    ['removed_from_cart', { args: ['fragments', 'cartHash', '$button'], detail: 'array' }],
+    ['adding_to_cart', { args: ['$button', 'data'], detail: 'array' }],
+    ['wc_fragments_refreshed', {}],
+    ['wc_fragments_loaded', {}],
+    ['wc_fragment_refresh', {}],
+    ['updated_wc_div', {}],
+    ['update_checkout', {}],
+    // { source }
+    ['wc_cart_updated', {}],
+
+    // Variation forms, jQuery passes (variation, purchasable), DOM listeners read detail.variation
+    ['show_variation', { args: ['variation', 'purchasable'] }],
+    ['found_variation', { args: ['variation'] }],
+    ['hide_variation', {}],
+    ['reset_data', {}],
+
+    // Theme events
+    ['nasa_single_add_to_cart', { args: ['$button', 'productId', 'quantity', 'productType', 'variationId', 'variation', 'wishlist'], detail: 'array' }],
+    ['nasa_opened_cart_sidebar', {}],
+    ['nasa_closed_cart_sidebar', {}],
+    // { variation, tier, quantity }
+    ['ns_bulk_discount_changed', {}],
+    // { errors }
+    ['nasa_add_to_cart_invalid', {}],
+    // { productId, url, host }
+    ['nasa_outbound_click', {}],
+    // { images }
+    ['nasa_variation_gallery_changed', {}]
+]);
+
+// Native events without an on* handler property to detect them by
+EventBus.nativeEvents = ['DOMContentLoaded', 'focusin', 'focusout'];
+
+window.EventBus = EventBus;
+window.nasaEventBus = window.nasaEventBus || new EventBus();
@@ -0,0 +1,236 @@
+/**
+ * External Products (Vanilla JS)
+ * Sends shoppers to an external product's URL with the configured UTM / affiliate parameters,
+ * records the outbound click and asks for confirmation first on the listed domains
+ */
+
+class ExternalProductLinks {
+    // nasa_external_params: { params: { utm_source: 'shop' }, domains: { 'amazon.com': { tag: 'shop-20' } },
+    // new_tab: '1', confirm_domains: ['partner.com'], i18n: { leaving, continue, cancel } }
+    constructor(params = window.nasa_external_params || {}) {
+        this.params = params.params || {};
+        this.domains = params.domains || {};
+        this.newTab = params.new_tab === '1' || params.new_tab === true;
+        this.confirmDomains = params.confirm_domains || [];
+        this.labels = {
+            leaving: 'You are leaving this site for %s.',
+            continue: 'Continue',
+            cancel: 'Cancel',
+            ...(params.i18n || {})
+        };
+    }
+
+    // Subdomains match their parent: shop.partner.com matches partner.com
+    static matchesDomain(host, domain) {
+        const cleanDomain = String(domain).toLowerCase().replace(/^\*?\./, '');
+        return host === cleanDomain || host.endsWith(`.${cleanDomain}`);
+    }
+
+    // Parameters already in the product URL are kept as the merchant entered them
+    buildUrl(href) {
+        const url = new URL(href, window.location.href);
+        const host = url.hostname.toLowerCase();
+        const params = { ...this.params };
+
+        Object.entries(this.domains).forEach(([domain, domainParams]) => {
+            if (ExternalProductLinks.matchesDomain(host, domain)) {
+                Object.assign(params, domainParams);
+            }
+        });
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (!url.searchParams.has(key) && value !== '' && value !== null && value !== undefined) {
+                url.searchParams.set(key, value);
+            }
+        });
+
+        return url;
+    }
+
+    needsConfirmation(url) {
+        const host = url.hostname.toLowerCase();
+        return this.confirmDomains.some(domain => ExternalProductLinks.matchesDomain(host, domain));
+    }
+
+    opensInNewTab(form) {
+        const target = form.getAttribute('target');
+        if (target) return target === '_blank';
+
+        return form.getAttribute('data-new_tab') ? form.getAttribute('data-new_tab') === '1' : this.newTab;
+    }
+
+    getProductId(form) {
+        const product = form.closest('[id^="product-"]');
+        return product ? parseInt(product.id.replace('product-', ''), 10) || 0 : 0;
+    }
+
+    // Goes through the event bus so jQuery handlers see it too, dataLayer carries it to tag managers
+    track(form, url) {
+        const detail = {
+            productId: this.getProductId(form),
+            url: url.href,
+            host: url.hostname
+        };
+
+        if (window.nasaEventBus) {
+            window.nasaEventBus.emit('nasa_outbound_click', detail, form);
+        } else {
+            form.dispatchEvent(new CustomEvent('nasa_outbound_click', {
+                detail: detail,
+                bubbles: true
+            }));
+        }
+
+        if (Array.isArray(window.dataLayer)) {
+            window.dataLayer.push({
+                event: 'nasa_outbound_click',
+                product_id: detail.productId,
+                outbound_url: detail.url,
+                outbound_host: detail.host
+            });
+        }
+    }
+
+    // payload: { url } from the external product type adapter
+    go(payload, button, form) {
+        const url = this.buildUrl(payload.url);
+        const newTab = this.opensInNewTab(form);
+
+        if (this.needsConfirmation(url)) {
+            this.confirm(url, newTab, form, button);
+            return;
+        }
+
+        this.track(form, url);
+
+        if (newTab) {
+            window.open(url.href, '_blank', 'noopener');
+        } else {
+            window.location.href = url.href;
+        }
+    }
+
+    // Built on the theme's cart popup markup (.ns-cart-popup-wrap over .black-window), so it is styled
+    // like it. The continue control is a real link, so the new tab opens from the shopper's own click
+    confirm(url, newTab, form, returnFocus) {
+        this.closePanel();
+
+        const wrap = document.createElement('div');
+        wrap.className = 'ns-cart-popup-wrap nasa-leaving-popup';
+
+        const background = document.createElement('a');
+        background.className = 'popup-cart-bg-close';
+        background.href = 'javascript:void(0);';
+        background.rel = 'nofollow';
+        background.title = this.labels.cancel;
+        background.tabIndex = -1;
+
+        const container = document.createElement('div');
+        container.className = 'ns-cart-popup-container';
+
+        const panel = document.createElement('div');
+        panel.className = 'ns-cart-popup nasa-leaving-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-modal', 'true');
+
+        const closeLink = document.createElement('a');
+        closeLink.className = 'nasa-stclose popup-cart-close';
+        closeLink.href = 'javascript:void(0);';
+        closeLink.rel = 'nofollow';
+        closeLink.title = this.labels.cancel;
+        closeLink.setAttribute('aria-label', this.labels.cancel);
+
+        const message = document.createElement('p');
+        message.id = 'nasa-leaving-panel-message';
+        message.textContent = this.labels.leaving.replace('%s', url.hostname);
+        panel.setAttribute('aria-labelledby', message.id);
+
+        const continueLink = document.createElement('a');
+        continueLink.className = 'button nasa-leaving-continue';
+        continueLink.href = url.href;
+        continueLink.rel = 'noopener sponsored';
+        continueLink.textContent = this.labels.continue;
+        if (newTab) {
+            continueLink.target = '_blank';
+        }
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'button nasa-leaving-cancel';
+        cancelButton.textContent = this.labels.cancel;
+
+        const close = (e) => {
+            if (e) e.preventDefault();
+            this.closePanel();
+            if (returnFocus) returnFocus.focus();
+        };
+
+        continueLink.addEventListener('click', () => {
+            this.track(form, url);
+            this.closePanel();
+        });
+        [background, closeLink, cancelButton].forEach(control => control.addEventListener('click', close));
+
+        // Tab cycles inside the panel while it is open
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                close(e);
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            const focusable = [closeLink, continueLink, cancelButton];
+            const index = focusable.indexOf(document.activeElement);
+            const next = e.shiftKey
+                ? (index <= 0 ? focusable.length - 1 : index - 1)
+                : (index === focusable.length - 1 ? 0 : index + 1);
+
+            e.preventDefault();
+            focusable[next].focus();
+        });
+
+        panel.append(closeLink, message, continueLink, cancelButton);
+        container.appendChild(panel);
+        wrap.append(background, container);
+        document.body.appendChild(wrap);
+
+        // Focus leaving the panel (a click on the page behind it) is brought back
+        this.onFocusIn = (e) => {
+            if (!panel.contains(e.target)) continueLink.focus();
+        };
+        document.addEventListener('focusin', this.onFocusIn);
+
+        this.onBlackWindowClick = close;
+        const blackWindow = document.querySelector('.black-window');
+        if (blackWindow) {
+            blackWindow.style.display = 'block';
+            blackWindow.classList.add('desk-window');
+            blackWindow.addEventListener('click', this.onBlackWindowClick);
+        }
+
+        wrap.style.display = 'block';
+        wrap.classList.add('nasa-active');
+        this.panel = wrap;
+
+        continueLink.focus();
+    }
+
+    closePanel() {
+        if (!this.panel) return;
+
+        document.removeEventListener('focusin', this.onFocusIn);
+
+        const blackWindow = document.querySelector('.black-window');
+        if (blackWindow) {
+            blackWindow.style.display = 'none';
+            blackWindow.classList.remove('desk-window');
+            blackWindow.removeEventListener('click', this.onBlackWindowClick);
+        }
+
+        this.panel.remove();
+        this.panel = null;
+    }
+}
+
+window.ExternalProductLinks = ExternalProductLinks;
+window.nasaExternalProducts = window.nasaExternalProducts || new ExternalProductLinks();
@@ -0,0 +1,118 @@
+/**
+ * Fragment Refresh Policy (Vanilla JS)
+ * Decides when cart fragments may be refreshed: debounce window, pause while the cart is open,
+ * refresh only after the shopper went idle, and a maximum staleness that overrides the rest
+ */
+
+class FragmentRefreshPolicy {
+    constructor(options = {}) {
+        this.options = {
+            debounce: 0,
+            pauseWhileOpen: false,
+            idleAfter: 0,
+            maxStaleness: 0,
+            debug: false,
+            ...options
+        };
+        this.store = window.nasaCartStore;
+        this.lastRefresh = 0;
+        this.lastDecision = null;
+        this.timer = null;
+        this.pending = null;
+
+        FragmentRefreshPolicy.trackActivity();
+
+        // A refresh held back while the cart was open runs once it closes
+        if (this.store) {
+            this.store.subscribe((state, prevState) => {
+                if (prevState.isOpen && !state.isOpen && this.pending && !this.timer) {
+                    this.schedule(this.pending.callback, this.pending.options);
+                }
+            });
+        }
+    }
+
+    // Activity listeners are shared by every policy instance
+    static trackActivity() {
+        if (FragmentRefreshPolicy.activityTracked) return;
+        FragmentRefreshPolicy.activityTracked = true;
+
+        const updateActivity = () => {
+            FragmentRefreshPolicy.lastUserActivity = Date.now();
+        };
+
+        ['click', 'scroll', 'keydown', 'mousemove'].forEach(event => {
+            document.addEventListener(event, updateActivity, { passive: true });
+        });
+    }
+
+    // Returns the reason a refresh is held back, or null when it may run
+    check(options = {}) {
+        const now = Date.now();
+        let reason = null;
+
+        if (options.force) {
+            reason = null;
+        } else if (this.isStale()) {
+            reason = null;
+        } else if (this.options.pauseWhileOpen && this.store && this.store.getState().isOpen) {
+            reason = 'cart-open';
+        } else if (this.options.idleAfter && now - FragmentRefreshPolicy.lastUserActivity < this.options.idleAfter) {
+            reason = 'user-active';
+        }
+
+        this.lastDecision = { reason: reason, time: now };
+        if (reason && this.options.debug) {
+            console.debug(`Cart fragment refresh skipped: ${reason}`);
+        }
+
+        return reason;
+    }
+
+    shouldRefresh(options = {}) {
+        return this.check(options) === null;
+    }
+
+    isStale() {
+        if (!this.options.maxStaleness) return false;
+
+        return !this.lastRefresh || Date.now() - this.lastRefresh > this.options.maxStaleness;
+    }
+
+    // Called by the owner once its DOM shows the new fragments, a store write alone does not count
+    markRefreshed() {
+        this.lastRefresh = Date.now();
+    }
+
+    // Collapses bursts of refresh requests into one call after the debounce window, the latest wins
+    schedule(callback, options = {}) {
+        clearTimeout(this.timer);
+
+        this.pending = { callback: callback, options: options };
+        this.timer = setTimeout(() => this.runPending(), this.options.debounce);
+    }
+
+    // Held back while the shopper is active it runs once they went idle, while the cart is open
+    // the store subscription runs it on close
+    runPending() {
+        this.timer = null;
+        if (!this.pending) return;
+
+        const reason = this.check(this.pending.options);
+        if (reason === 'user-active') {
+            const idleIn = this.options.idleAfter - (Date.now() - FragmentRefreshPolicy.lastUserActivity);
+            this.timer = setTimeout(() => this.runPending(), Math.max(idleIn, 0));
+            return;
+        }
+        if (reason) return;
+
+        const { callback } = this.pending;
+        this.pending = null;
+        callback();
+    }
+}
+
+FragmentRefreshPolicy.activityTracked = false;
+FragmentRefreshPolicy.lastUserActivity = Date.now();
+
+window.FragmentRefreshPolicy = FragmentRefreshPolicy;
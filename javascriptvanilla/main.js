@@ -79,6 +79,13 @@ const checkMobileDevice = () => { // Ã¢â€  Rename function
 
 // Custom Event Dispatcher
 const triggerEvent = (element, eventName, detail = {}) => {
+  // Reaches DOM listeners and jQuery handlers alike (event-bus.js)
+  if (window.nasaEventBus) {
+    const isPositional = eventName === 'added_to_cart' || eventName === 'removed_from_cart';
+    window.nasaEventBus.emit(eventName, isPositional && !Array.isArray(detail) ? [detail] : detail, element);
+    return;
+  }
+  
   // Handle WooCommerce events that expect parameters as arguments
   if (eventName === 'added_to_cart' || eventName === 'removed_from_cart') {
     // For WooCommerce events, trigger with jQuery-style parameters
@@ -265,7 +272,7 @@ function updateCartAjax(cartItemKey, quantity) {
   if (!ajaxUrl) return;
   
   // Create form data
-  const formData = new FormData();
+  const formData = window.nasaCartEndpoints.prepareBody('nasa_quantity_mini_cart');
   formData.append('hash', cartItemKey);
   formData.append('quantity', quantity);
   formData.append('no-mess', 1);
@@ -276,14 +283,14 @@ function updateCartAjax(cartItemKey, quantity) {
     body: formData,
     credentials: 'same-origin'
   })
-  .then(response => response.json())
-  .then(data => {
-    if (data && data.fragments) {
+  .then(response => window.CartResponse.parse(response))
+  .then(result => {
+    if (result.fragments) {
       // Update fragments
-      Object.keys(data.fragments).forEach(key => {
+      Object.keys(result.fragments).forEach(key => {
         const element = document.querySelector(key);
         if (element) {
-          element.outerHTML = data.fragments[key];
+          element.outerHTML = result.fragments[key];
         }
       });
       
@@ -292,11 +299,16 @@ function updateCartAjax(cartItemKey, quantity) {
       triggerEvent(document.body, 'nasa_init_shipping_free_notification');
       
       // Redirect if needed
-      if (data.url_redirect) {
-        window.location.href = data.url_redirect;
+      if (result.redirect) {
+        window.location.href = result.redirect;
       } else {
         triggerEvent(document.body, 'update_checkout');
       }
+    } else if (!result.success) {
+      const message = window.CartResponse.getMessage(result, 'error');
+      if (message) {
+        showNotice(message, 'error');
+      }
     }
     
     // Remove processing state
@@ -455,7 +467,8 @@ function showNotice(message, type = 'success') {
   
   // Create notice
   const noticeWrap = document.createElement('div');
-  noticeWrap.className = `woocommerce-${type === 'success' ? 'message' : 'error'}`;
+  const noticeClasses = { success: 'message', info: 'info' };
+  noticeWrap.className = `woocommerce-${noticeClasses[type] || 'error'}`;
   noticeWrap.innerHTML = message;
   
   // Add close button
@@ -493,26 +506,23 @@ function showNotice(message, type = 'success') {
 
 // Helper Functions
 function getAjaxUrl(endpoint) {
-  if (typeof nasa_ajax_params !== 'undefined' && typeof nasa_ajax_params.wc_ajax_url !== 'undefined') {
-    return nasa_ajax_params.wc_ajax_url.toString().replace('%%endpoint%%', endpoint);
+  // Resolved by the shared endpoint registry (cart-endpoints.js)
+  if (window.nasaCartEndpoints) {
+    return window.nasaCartEndpoints.getUrl(endpoint);
   }
   return null;
 }
 
 // Add to Cart Functions
-function handleSingleAddToCart(button, productId, quantity, type, variationId, attributes, extraParams) {
-  // Add loading class
-  button.classList.add('loading');
-  
+function sendAddToCartRequest(productId, quantity, variationId, attributes, extraParams) {
   // Get AJAX URL
   const ajaxUrl = getAjaxUrl('add_to_cart');
   if (!ajaxUrl) {
-    button.classList.remove('loading');
-    return;
+    return Promise.reject(new Error('Add to cart endpoint is not available'));
   }
   
   // Create form data
-  const formData = new FormData();
+  const formData = window.nasaCartEndpoints.prepareBody('add_to_cart');
   formData.append('product_id', productId);
   formData.append('quantity', quantity);
   
@@ -533,97 +543,449 @@ function handleSingleAddToCart(button, productId, quantity, type, variationId, a
     }
   }
   
-  // Send AJAX request
-  fetch(ajaxUrl, {
+  // Send AJAX request, only a rejected fetch means the request never reached the server
+  return fetch(ajaxUrl, {
     method: 'POST',
     body: formData,
     credentials: 'same-origin'
   })
-  .then(response => response.json())
+  .catch(error => {
+    error.nasaNetworkError = true;
+    throw error;
+  })
+  .then(response => response.json());
+}
+
+function handleSingleAddToCart(button, productId, quantity, type, variationId, attributes, extraParams) {
+  // Add loading class
+  button.classList.add('loading');
+  
+  // No connection: keep the action for replay when the shopper is back online
+  if (window.nasaCartOffline && !window.nasaCartOffline.isOnline()) {
+    queueOfflineAddToCart(button, productId, quantity, type, variationId, attributes, extraParams);
+    return;
+  }
+  
+  sendAddToCartRequest(productId, quantity, variationId, attributes, extraParams)
   .then(data => {
-    // Handle response
-    if (data) {
-      // Close magnific popup if open
-      triggerEvent(document.body, 'ns_magnific_popup_close');
+    // WooCommerce answers failed adds (stock, missing options) with error and the product URL
+    if (data && data.error) {
+      const result = window.CartResponse.fromJSON(data, true, 200);
+      button.classList.remove('loading');
       
-      // Get after add to cart event
-      const eventAfterAddToCart = document.querySelector('input[name="nasa-event-after-add-to-cart"]');
-      let eventType = eventAfterAddToCart && eventAfterAddToCart.value ? eventAfterAddToCart.value : 'sidebar';
-      
-      // Override for cart page
-      if (document.querySelector('form.woocommerce-cart-form')) {
-        eventType = 'notice';
-      }
-      
-      // Handle different event types
-      if ((eventType === 'popup' || eventType === 'popup_2') && 
-          !document.querySelector('form.nasa-shopping-cart-form, form.woocommerce-checkout')) {
-        afterAddedToCart();
-        setTimeout(() => {
-          initShippingFreeNotification(true);
-        }, 500);
-      } else if (eventType === 'sidebar') {
-        // Open cart sidebar
-        const cartSidebar = document.getElementById('cart-sidebar');
-        if (cartSidebar) {
-          const blackWindow = document.querySelector('.black-window');
-          if (blackWindow) {
-            blackWindow.style.display = 'block';
-            blackWindow.classList.add('desk-window');
-          }
-          
-          // Hide wishlist sidebar
-          const wishlistSidebar = document.getElementById('nasa-wishlist-sidebar');
-          if (wishlistSidebar) {
-            wishlistSidebar.classList.remove('nasa-active');
-          }
-          
-          // Show cart sidebar
-          cartSidebar.classList.add('nasa-active');
-          cartSidebar.classList.remove('crazy-loading', 'nasa_update_from_mini_cart');
-          
-          // Trigger events
-          triggerEvent(document.body, 'nasa_opened_cart_sidebar');
-          
-          // Initialize free shipping notification
-          setTimeout(() => {
-            initShippingFreeNotification(true);
-          }, 50);
-        }
-      } else if (eventType === 'notice' && data['.woocommerce-message']) {
-        // Show notice
-        showNotice(data['.woocommerce-message']);
+      if (result.redirect) {
+        window.location.href = result.redirect;
+      } else {
+        result.notices.forEach(notice => showNotice(notice.text, 'error'));
       }
-      
-      // Update fragments
-      if (data.fragments) {
-        Object.keys(data.fragments).forEach(key => {
-          const element = document.querySelector(key);
-          if (element) {
-            element.outerHTML = data.fragments[key];
-          }
-        });
-        
-        // Trigger events
-        triggerEvent(document.body, 'wc_fragments_refreshed');
+      return;
+    }
+    
+    // Handle response
+    if (data) {
+      if (window.nasaProductTypes) {
+        window.nasaProductTypes.get(type).afterAdd(data, button, button.closest('form.cart'));
       }
+      applyAddToCartFragments(data.fragments);
     }
     
     // Remove loading class
     button.classList.remove('loading');
     
     // Trigger added to cart event
-    triggerEvent(document.body, 'added_to_cart', [data.fragments, data.cart_hash, button]);
+    triggerEvent(document.body, 'added_to_cart', [data && data.fragments, data && data.cart_hash, button]);
   })
   .catch(error => {
+    if (window.nasaCartOffline && CartOfflineQueue.isNetworkError(error)) {
+      queueOfflineAddToCart(button, productId, quantity, type, variationId, attributes, extraParams);
+      return;
+    }
+    
     console.error('Error adding to cart:', error);
     button.classList.remove('loading');
   });
 }
 
+// After add to cart strategies of the theme option (after-add-to-cart.js picks one per added_to_cart)
+function registerAfterAddToCartStrategies() {
+  const strategies = window.nasaAfterAddToCart;
+  if (!strategies) return;
+  
+  const openSidebar = () => {
+    const cartSidebar = document.getElementById('cart-sidebar');
+    if (!cartSidebar) return;
+    
+    const blackWindow = document.querySelector('.black-window');
+    if (blackWindow) {
+      blackWindow.style.display = 'block';
+      blackWindow.classList.add('desk-window');
+    }
+    
+    // Hide wishlist sidebar
+    const wishlistSidebar = document.getElementById('nasa-wishlist-sidebar');
+    if (wishlistSidebar) {
+      wishlistSidebar.classList.remove('nasa-active');
+    }
+    
+    // Show cart sidebar
+    cartSidebar.classList.add('nasa-active');
+    cartSidebar.classList.remove('crazy-loading', 'nasa_update_from_mini_cart');
+    
+    triggerEvent(document.body, 'nasa_opened_cart_sidebar');
+    
+    setTimeout(() => {
+      initShippingFreeNotification(true);
+    }, 50);
+  };
+  
+  // The cart sidebar class registers its own when it is loaded first
+  if (!strategies.has('sidebar')) {
+    strategies.register('sidebar', openSidebar);
+  }
+  
+  // Popups are not shown over the cart and checkout forms
+  const popup = () => {
+    if (document.querySelector('form.nasa-shopping-cart-form, form.woocommerce-checkout')) return;
+    
+    afterAddedToCart();
+    setTimeout(() => {
+      initShippingFreeNotification(true);
+    }, 500);
+  };
+  strategies.register('popup', popup);
+  strategies.register('popup_2', popup);
+  
+  strategies.register('notice', context => {
+    if (context.message) {
+      showNotice(context.message);
+    }
+  });
+}
+
+registerAfterAddToCartStrategies();
+
+function applyAddToCartFragments(fragments) {
+  if (!fragments) return;
+  
+  Object.keys(fragments).forEach(key => {
+    const element = document.querySelector(key);
+    if (element) {
+      element.outerHTML = fragments[key];
+    }
+  });
+  
+  // Trigger events
+  triggerEvent(document.body, 'wc_fragments_refreshed');
+}
+
+// Grouped products: every child with a quantity goes in one form post, WooCommerce answers with
+// the product page and its notices, failures are shown on the row of the child they name
+function handleGroupedAddToCart(button, form, body = new FormData(form)) {
+  button.classList.add('loading');
+  
+  fetch(form.getAttribute('action') || window.location.href, {
+    method: 'POST',
+    body: body,
+    credentials: 'same-origin',
+    headers: {
+      'X-Requested-With': 'XMLHttpRequest'
+    }
+  })
+  .then(response => {
+    // "Redirect to the cart page after successful addition" is on
+    if (response.redirected && response.url.split('#')[0] !== (form.getAttribute('action') || window.location.href).split('#')[0]) {
+      window.location.href = response.url;
+      return null;
+    }
+    
+    return window.CartResponse.parse(response);
+  })
+  .then(result => {
+    if (!result) return;
+    
+    const rows = Array.from(form.querySelectorAll('.woocommerce-grouped-product-list-item'));
+    const added = result.notices.filter(notice => notice.type === 'success');
+    
+    result.notices.filter(notice => notice.type === 'error').forEach(notice => {
+      // WooCommerce quotes the product name in its notices, a row is matched on the whole name only
+      const names = Array.from(notice.text.matchAll(/[“"‘]([^”"’]+)[”"’]/g), match => match[1].trim());
+      const row = rows.find(item => {
+        const label = item.querySelector('.woocommerce-grouped-product-list-item__label');
+        return label && names.includes(label.textContent.replace(/\s+/g, ' ').trim());
+      });
+      const field = row && row.querySelector('input[name^="quantity["]');
+      
+      if (field && window.nasaAddToCartValidator) {
+        window.nasaAddToCartValidator.showError({
+          field: field,
+          message: notice.text,
+          anchor: field.closest('.quantity') || field
+        });
+      } else {
+        showNotice(notice.text, 'error');
+      }
+    });
+    
+    if (!added.length) return;
+    
+    // One refresh and one sidebar for all the children
+    const refresh = window.nasaCartStore ? window.nasaCartStore.fetchFragments({ source: 'dom' }) : Promise.resolve(null);
+    return refresh.then(data => {
+      const fragments = (data && data.fragments) || {};
+      
+      if (window.nasaProductTypes) {
+        window.nasaProductTypes.get('grouped').afterAdd(data, button, form);
+      }
+      applyAddToCartFragments(fragments);
+      
+      // The notice strategy reads the message where the theme's own add to cart puts it
+      triggerEvent(document.body, 'added_to_cart', [{
+        ...fragments,
+        '.woocommerce-message': added.map(notice => notice.text).join('<br />')
+      }, data && data.cart_hash, button]);
+    });
+  })
+  .catch(error => {
+    console.error('Error adding grouped products to cart:', error);
+  })
+  .finally(() => {
+    button.classList.remove('loading');
+  });
+}
+
+function serializeSimpleForm(form) {
+  const productIdInput = form.querySelector('input[name="data-product_id"]');
+  const quantityInput = form.querySelector('.quantity input[name="quantity"]');
+  if (!productIdInput || !productIdInput.value) return null;
+  
+  return {
+    productId: productIdInput.value,
+    quantity: quantityInput ? quantityInput.value : 1,
+    variationId: 0,
+    attributes: {},
+    extraParams: {}
+  };
+}
+
+// Adds the chosen variation to a simple payload, null until a variation is picked
+function serializeVariation(form, payload) {
+  const variationInput = form.querySelector('input[name="variation_id"]');
+  if (!payload) return null;
+  
+  payload.variationId = variationInput ? parseInt(variationInput.value, 10) || 0 : 0;
+  if (!payload.variationId) return null;
+  
+  form.querySelectorAll('.variations select').forEach(select => {
+    payload.attributes[select.name] = select.value;
+  });
+  
+  // Added from the wishlist page
+  const wishlistTable = document.querySelector('.wishlist_table');
+  if (wishlistTable && document.querySelector(`.wishlist_table tr#yith-wcwl-row-${payload.productId}`)) {
+    const fromWishlist = form.querySelector('input[name="data-from_wishlist"]');
+    
+    payload.extraParams = {
+      from_wishlist: fromWishlist && fromWishlist.value === '1' ? '1' : '0',
+      wishlist_id: wishlistTable.getAttribute('data-id'),
+      pagination: wishlistTable.getAttribute('data-pagination'),
+      per_page: wishlistTable.getAttribute('data-per-page'),
+      current_page: wishlistTable.getAttribute('data-page')
+    };
+  }
+  
+  return payload;
+}
+
+// Without the adapter registry (product-type-adapters.js) simple, variable and grouped forms
+// keep the AJAX add to cart, null for the forms that have to post natively (external products)
+function getBuiltInAddToCartAdapter(form) {
+  if ((form.getAttribute('method') || '').toLowerCase() === 'get') return null;
+  
+  const typeInput = form.querySelector('input[name="data-type"]');
+  const grouped = form.classList.contains('grouped_form');
+  const variable = form.classList.contains('variations_form');
+  
+  return {
+    type: typeInput ? typeInput.value : 'simple',
+    ajax: true,
+    validate: form => !window.nasaAddToCartValidator || window.nasaAddToCartValidator.validate(form),
+    serialize(form) {
+      if (grouped) return new FormData(form);
+      
+      return variable ? serializeVariation(form, serializeSimpleForm(form)) : serializeSimpleForm(form);
+    },
+    submit(payload, button, form) {
+      if (grouped) {
+        handleGroupedAddToCart(button, form, payload);
+      } else {
+        handleSingleAddToCart(button, payload.productId, payload.quantity, this.type, payload.variationId, payload.attributes, payload.extraParams);
+      }
+    }
+  };
+}
+
+// Product type adapters, registered as soon as main.js loads so add-ons can extend them
+// (product-type-adapters.js has to load first)
+function registerProductTypeAdapters() {
+  const types = window.nasaProductTypes;
+  if (!types) return;
+  
+  types.register('simple', {
+    serialize: serializeSimpleForm,
+    submit(payload, button) {
+      handleSingleAddToCart(button, payload.productId, payload.quantity, this.type, payload.variationId, payload.attributes, payload.extraParams);
+    }
+  });
+  
+  types.register('variable', {
+    extends: 'simple',
+    matches: form => form.classList.contains('variations_form'),
+    serialize: form => serializeVariation(form, types.get('simple').serialize(form))
+  });
+  
+  types.register('grouped', {
+    extends: 'simple',
+    matches: form => form.classList.contains('grouped_form'),
+    serialize: form => new FormData(form),
+    submit(payload, button, form) {
+      handleGroupedAddToCart(button, form, payload);
+    }
+  });
+  
+  // WPC product bundles post their bundled items with the bundle
+  types.register('woosb', {
+    extends: 'simple',
+    matches: form => !!form.querySelector('input[name="woosb_ids"]'),
+    serialize(form) {
+      const payload = types.get('simple').serialize(form);
+      const bundledIds = form.querySelector('input[name="woosb_ids"]');
+      
+      if (payload && bundledIds) {
+        payload.extraParams.woosb_ids = bundledIds.value;
+      }
+      
+      return payload;
+    }
+  });
+  
+  // external.php renders a GET form to the product URL, nothing is added to the cart
+  types.register('external', {
+    extends: 'simple',
+    ajax: false,
+    matches: form => (form.getAttribute('method') || '').toLowerCase() === 'get',
+    validate: () => true,
+    serialize(form) {
+      const url = new URL(form.getAttribute('action') || window.location.href, window.location.href);
+      new FormData(form).forEach((value, key) => {
+        url.searchParams.set(key, value);
+      });
+      
+      return { url: url.href, target: form.getAttribute('target') || '' };
+    },
+    submit(payload, button, form) {
+      // Tracking, affiliate parameters and the leaving notice (external-products.js)
+      if (window.nasaExternalProducts) {
+        window.nasaExternalProducts.go(payload, button, form);
+        return;
+      }
+      
+      if (payload.target === '_blank') {
+        window.open(payload.url, '_blank', 'noopener');
+      } else {
+        window.location.href = payload.url;
+      }
+    }
+  });
+}
+
+registerProductTypeAdapters();
+
+function queueOfflineAddToCart(button, productId, quantity, type, variationId, attributes, extraParams) {
+  const form = button.closest('form.cart');
+  const productItem = button.closest('.product-item');
+  const titleElement = (productItem && productItem.querySelector('.name a, .product-title')) ||
+    (form && document.querySelector('.product_title'));
+  
+  window.nasaCartOffline.enqueue({
+    type: 'add',
+    label: button.getAttribute('data-product_name') || (titleElement ? titleElement.textContent.trim() : `#${productId}`),
+    payload: {
+      productId: productId,
+      quantity: quantity,
+      type: type,
+      variationId: variationId,
+      attributes: attributes || {},
+      extraParams: extraParams || {}
+    }
+  })
+  .then(() => {
+    showNotice('You are offline. This product will be added to your cart when the connection is back.', 'info');
+  })
+  .catch(error => {
+    console.error('Error saving offline cart action:', error);
+  })
+  .finally(() => {
+    button.classList.remove('loading');
+  });
+}
+
+// Replays add to cart actions stored while offline
+function registerOfflineCartHandlers() {
+  if (!window.nasaCartOffline) return;
+  
+  window.nasaCartOffline.registerHandler('add', payload => {
+    return sendAddToCartRequest(payload.productId, payload.quantity, payload.variationId, payload.attributes, payload.extraParams)
+      .then(data => {
+        if (!data || data.error) {
+          throw new Error('Product is no longer available');
+        }
+        
+        triggerEvent(document.body, 'added_to_cart', [data.fragments, data.cart_hash]);
+        return data;
+      });
+  });
+}
+
+// Popup v1 shows the cart popup fragment, v2 loads its content on get_content_popup_v2
 function afterAddedToCart() {
-  // Implement popup functionality here
-  console.log('Product added to cart - showing popup');
+  const popupWrap = document.querySelector('.ns-cart-popup-wrap');
+  if (!popupWrap) return;
+  
+  const isV2 = !!popupWrap.querySelector('.ns-cart-popup-v2');
+  
+  // Empty cart
+  if (!isV2 && !popupWrap.querySelector('.woocommerce-cart-form__cart-item')) {
+    const closeButton = popupWrap.querySelector('.popup-cart-close');
+    if (closeButton) {
+      closeButton.click();
+    }
+    return;
+  }
+  
+  document.querySelectorAll('.nasa-static-sidebar.nasa-active').forEach(sidebar => {
+    sidebar.classList.remove('nasa-active');
+  });
+  
+  if (!isV2) {
+    popupWrap.style.display = 'block';
+    if (popupWrap.querySelector('.nasa-slick-slider')) {
+      triggerEvent(document.body, 'nasa_reload_slick_slider_private', [popupWrap]);
+    }
+  }
+  
+  setTimeout(() => {
+    if (!isV2) {
+      popupWrap.classList.add('nasa-active');
+      
+      const blackWindow = document.querySelector('.black-window');
+      if (blackWindow) {
+        blackWindow.style.display = 'block';
+        blackWindow.classList.add('desk-window');
+      }
+    }
+    
+    triggerEvent(document.body, 'get_content_popup_v2', [true]);
+  }, 50);
 }
 
 // Buy Now Function
@@ -678,60 +1040,42 @@ function initEventListeners() {
       const button = e.target.matches('form.cart button[type="submit"].single_add_to_cart_button') ? 
         e.target : e.target.closest('form.cart button[type="submit"].single_add_to_cart_button');
       
+      const form = button.closest('form.cart');
+      const adapter = window.nasaProductTypes ? window.nasaProductTypes.resolve(form) : getBuiltInAddToCartAdapter(form);
+      
+      // Forms the built-in handling does not know post natively
+      if (!adapter) return true;
+      
       e.preventDefault();
       
       // Close any notices
       const closeNotices = document.querySelectorAll('.nasa-close-notice');
       closeNotices.forEach(notice => notice.click());
       
+      // Types that never post to the cart (external products) handle the click themselves
+      if (!adapter.ajax) {
+        if (adapter.validate(form, button)) {
+          adapter.submit(adapter.serialize(form, button), button, form);
+        }
+        return false;
+      }
+      
       // Check if AJAX is enabled
-      const form = button.closest('form.cart');
       const ajaxEnabled = form.querySelector('input[name="nasa-enable-addtocart-ajax"]');
       
       if (!ajaxEnabled || ajaxEnabled.value !== '1') return true;
       
       // Check if button is disabled
       if (button.classList.contains('disabled') || button.classList.contains('nasa-ct-disabled')) return false;
+      if (button.classList.contains('loading')) return false;
       
-      // Get product ID
-      const productId = form.querySelector('input[name="data-product_id"]').value;
-      if (!productId || button.classList.contains('loading')) return false;
-      
-      // Get product data
-      const productType = form.querySelector('input[name="data-type"]').value;
-      const quantity = form.querySelector('.quantity input[name="quantity"]').value;
-      const variationId = form.querySelector('input[name="variation_id"]') ? 
-        parseInt(form.querySelector('input[name="variation_id"]').value) : 0;
+      // Quantity, options and custom fields are checked before any request
+      if (!adapter.validate(form, button)) return false;
       
-      // Get variation attributes
-      const attributes = {};
-      const fromWishlist = {};
-      
-      if (productType === 'variable' && !variationId) return false;
-      
-      if (variationId > 0 && form.querySelector('.variations')) {
-        const variationSelects = form.querySelectorAll('.variations select');
-        variationSelects.forEach(select => {
-          attributes[select.name] = select.value;
-        });
-        
-        // Check if from wishlist
-        if (document.querySelector('.wishlist_table') && 
-            document.querySelector(`.wishlist_table tr#yith-wcwl-row-${productId}`)) {
-          const wishlistTable = document.querySelector('.wishlist_table');
-          
-          fromWishlist.from_wishlist = form.querySelector('input[name="data-from_wishlist"]') && 
-            form.querySelector('input[name="data-from_wishlist"]').value === '1' ? '1' : '0';
-          
-          fromWishlist.wishlist_id = wishlistTable.getAttribute('data-id');
-          fromWishlist.pagination = wishlistTable.getAttribute('data-pagination');
-          fromWishlist.per_page = wishlistTable.getAttribute('data-per-page');
-          fromWishlist.current_page = wishlistTable.getAttribute('data-page');
-        }
-      }
+      const payload = adapter.serialize(form, button);
+      if (!payload) return false;
       
-      // Trigger add to cart
-      handleSingleAddToCart(button, productId, quantity, productType, variationId, attributes, fromWishlist);
+      adapter.submit(payload, button, form);
       
       return false;
     }
@@ -1346,6 +1690,9 @@ domReady(() => {
   // Initialize event listeners
   initEventListeners();
   
+  // Replay cart actions stored while offline
+  registerOfflineCartHandlers();
+  
   // Handle hash navigation
   if (window.location.hash) {
     handleHashNavigation(window.location.hash);
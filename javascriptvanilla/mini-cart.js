@@ -2,54 +2,65 @@ class MiniCartExtension {
     constructor() {
         this.initialized = false;
         this.activeNode = null;
-        this.sidebarOpen = false;
-        this.lastUserActivity = Date.now();
-        this.operationInProgress = false;
+        this.store = window.nasaCartStore;
+        this.requestQueue = window.nasaCartRequestQueue;
+        // Cart operations in flight, one entry per call so a finished one never clears another
+        this.operations = new Set();
+
+        // No refresh while the cart is open or the shopper is busy, cart operations force one
+        this.refreshPolicy = new FragmentRefreshPolicy({
+            debounce: 300,
+            pauseWhileOpen: true,
+            idleAfter: 10000
+        });
+        
+        this.endpoints = window.nasaCartEndpoints;
+        this.nonces = window.nasaCartNonces;
         
-        this.ajaxUrl = typeof window.wc_cart_fragments_params !== 'undefined' ? 
-            window.wc_cart_fragments_params.wc_ajax_url : 
-            (window._wpUtilSettings && window._wpUtilSettings.ajax ? window._wpUtilSettings.ajax.url : '/wp-admin/admin-ajax.php');
+        // Store reference globally for access
+        window.miniCartExtension = this;
         
         this.init();
-        this.disableWooCommerceAutoRefresh();
     }
 
     init() {
         if (this.initialized) return;
+
+        // cart-store.js has to be enqueued before this file
+        if (!this.store) {
+            console.warn('Cart store not found, mini cart extension disabled');
+            return;
+        }
+
         this.setupEventListeners();
-        this.setupActivityTracking();
+        this.setupStoreSubscription();
         this.initialized = true;
     }
 
-    // Optimize WooCommerce's automatic fragment refresh
-    disableWooCommerceAutoRefresh() {
-        // Store reference globally for access
-        window.miniCartExtension = this;
-        
-        // Override fetch to control WooCommerce fragment refreshes
-        if (typeof window.wc_cart_fragments_params !== 'undefined') {
-            const originalFetch = window.fetch;
-            window.fetch = function(...args) {
-                const url = args[0];
-                if (typeof url === 'string' && 
-                    url.includes('get_refreshed_fragments') && 
-                    window.miniCartExtension.sidebarOpen && 
-                    !window.miniCartExtension.operationInProgress) {
-                    return Promise.resolve(new Response('{}', { status: 200 }));
-                }
-                return originalFetch.apply(window, args);
-            };
-        }
+    // Cart operations force the refreshes and renders they need
+    get operationInProgress() {
+        return this.operations.size > 0;
+    }
+
+    // Open state lives in the shared cart store
+    get sidebarOpen() {
+        return this.store.getState().isOpen;
     }
 
-    // Track user activity
-    setupActivityTracking() {
-        const updateActivity = () => {
-            this.lastUserActivity = Date.now();
-        };
+    set sidebarOpen(isOpen) {
+        this.store.setOpen(isOpen, { source: 'mini-cart' });
+    }
+
+    setupStoreSubscription() {
+        this.unsubscribeStore = this.store.subscribe((state, prevState, meta) => {
+            if (state.isOpen && !prevState.isOpen) {
+                this.loadNonces();
+            }
 
-        ['click', 'scroll', 'keydown', 'mousemove'].forEach(event => {
-            document.addEventListener(event, updateActivity, { passive: true });
+            // Cart changed in another tab, the sidebar renders its own content
+            if (meta.source === 'broadcast' && meta.fragments) {
+                this.renderFragments(meta.fragments, '#cart-sidebar');
+            }
         });
     }
 
@@ -94,83 +105,47 @@ class MiniCartExtension {
 
         document.body.addEventListener('nasa_opened_cart_sidebar', () => {
             this.sidebarOpen = true;
-            this.loadNonces();
         });
 
         document.body.addEventListener('nasa_closed_cart_sidebar', () => {
             this.sidebarOpen = false;
         });
 
-        // Control WooCommerce fragment refresh events
-        document.body.addEventListener('wc_fragments_refreshed', (e) => {
-            if (this.sidebarOpen && !this.operationInProgress) {
-                e.stopImmediatePropagation();
-                return false;
-            }
-        });
-    }
+        // WooCommerce's own fragment refresh (cart-fragments.js) is not sent while the cart is open,
+        // it is asked for again through wc_fragment_refresh once the policy allows it
+        if (window.jQuery) {
+            window.jQuery.ajaxPrefilter((options, originalOptions, jqXHR) => {
+                if (String(options.url).indexOf('get_refreshed_fragments') === -1) return;
+                if (this.refreshPolicy.check({ force: this.operationInProgress }) !== 'cart-open') return;
 
-    async loadNonces() {
-        try {
-            const response = await fetch(this.getAjaxUrl('nasa_ext_cart_ajax_nonce'), {
-                method: 'POST',
-                credentials: 'same-origin',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
+                jqXHR.abort();
+                this.refreshPolicy.schedule(() => window.jQuery(document.body).trigger('wc_fragment_refresh'));
             });
-
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                const data = await response.json();
-                
-                if (data && data.fds) {
-                    const cartSidebar = document.getElementById('cart-sidebar');
-                    if (cartSidebar && !cartSidebar.querySelector('.mini-cart-ajax-nonce')) {
-                        cartSidebar.insertAdjacentHTML('beforeend', data.fds);
-                    }
-                }
-            } else {
-                console.warn('Nonce response is not JSON');
-            }
-        } catch (error) {
-            console.error('Error loading nonces:', error);
         }
     }
 
-    async refreshCartFragments() {
-        // Prevent refresh if sidebar is open and no operation is in progress
-        if (this.sidebarOpen && !this.operationInProgress) {
-            return null;
-        }
+    // Nonces are cached and refreshed by the shared nonce manager
+    loadNonces() {
+        return this.nonces.refresh();
+    }
 
-        // Prevent refresh if user was recently active and no operation
-        const timeSinceActivity = Date.now() - this.lastUserActivity;
-        if (!this.operationInProgress && timeSinceActivity < 10000) {
+    async refreshCartFragments() {
+        // Cart operations always refresh, anything else follows the policy
+        if (!this.refreshPolicy.shouldRefresh({ force: this.operationInProgress })) {
             return null;
         }
 
         try {
-            const response = await fetch(this.getAjaxUrl('get_refreshed_fragments'), {
-                method: 'POST',
-                credentials: 'same-origin',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            });
-
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                const data = await response.json();
-                if (data && data.fragments) {
-                    await this.updateFragments(data.fragments);
-                    return data.fragments;
-                }
-            } else {
-                console.warn('Fragment response is not JSON');
+            // Serialized behind pending mutations, stale fragments are dropped
+            const data = await this.requestQueue.enqueue('fragments', signal => this.store.requestFragments(signal), { delay: 0 });
+            if (data && data.fragments && !this.requestQueue.hasPending()) {
+                await this.updateFragments(data.fragments, data.cart_hash);
+                return data.fragments;
             }
         } catch (error) {
-            console.error('Error refreshing cart fragments:', error);
+            if (!CartRequestQueue.isAbortError(error)) {
+                console.error('Error refreshing cart fragments:', error);
+            }
         }
         return null;
     }
@@ -232,51 +207,6 @@ class MiniCartExtension {
 
         document.body.dispatchEvent(new CustomEvent('nasa_closed_cart_sidebar'));
     }
-    // Helper method to handle server responses (JSON or HTML)
-    async handleServerResponse(response, successIndicators = [], errorClass = 'woocommerce-error') {
-        const responseText = await response.text();
-        const contentType = response.headers.get('content-type');
-        
-        // Try JSON first
-        if (contentType && contentType.includes('application/json')) {
-            try {
-                const result = JSON.parse(responseText);
-                return {
-                    success: result && result.success !== false,
-                    message: result.message || result.data || '',
-                    data: result
-                };
-            } catch (e) {
-                throw new Error('Invalid JSON response from server');
-            }
-        }
-        
-        // Handle HTML response
-        const isSuccess = response.ok && successIndicators.some(indicator => 
-            responseText.includes(indicator)
-        );
-        
-        if (isSuccess) {
-            return {
-                success: true,
-                message: successIndicators[0] || 'Operation completed successfully'
-            };
-        }
-        
-        // Check for errors
-        if (responseText.includes(errorClass) || responseText.includes('error')) {
-            const errorMatch = responseText.match(new RegExp(`<[^>]*class="[^"]*${errorClass}[^"]*"[^>]*>(.*?)<\/[^>]*>`));
-            const errorMessage = errorMatch ? errorMatch[1].trim() : 'Operation failed';
-            throw new Error(errorMessage);
-        }
-        
-        // Default handling
-        return {
-            success: response.ok,
-            message: response.ok ? 'Operation completed' : 'Unknown error occurred'
-        };
-    }
-
     async handleApplyCoupon(button) {
         if (button.classList.contains('nasa-disable')) return;
         
@@ -286,41 +216,36 @@ class MiniCartExtension {
         if (!couponCode) return;
 
         // Mark operation as in progress to allow necessary refreshes
-        this.operationInProgress = true;
+        const operation = Symbol('apply_coupon');
+        this.operations.add(operation);
 
         button.classList.add('nasa-disable');
         const cart = button.closest('.nasa-static-sidebar') || button.closest('.widget_shopping_cart_content');
         
         try {
-            let nonce = document.querySelector('#apply_coupon_nonce')?.value;
-            if (!nonce) {
-                await this.loadNonces();
-                nonce = document.querySelector('#apply_coupon_nonce')?.value;
-            }
-
             cart.classList.add('ext-loading');
 
-            const response = await fetch(this.getAjaxUrl('apply_coupon'), {
+            // An expired nonce is refreshed and the request retried once
+            const response = await this.requestQueue.enqueue(`apply_coupon:${couponCode}`, signal => this.nonces.request('apply_coupon', nonce => fetch(this.getAjaxUrl('apply_coupon'), {
                 method: 'POST',
                 credentials: 'same-origin',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
-                body: new URLSearchParams({
+                body: this.endpoints.prepareBody('apply_coupon', new URLSearchParams({
                     security: nonce || '',
                     coupon_code: couponCode
-                })
-            });
+                })),
+                signal: signal
+            })), { delay: 0 });
 
-            const result = await this.handleServerResponse(response, [
-                'Coupon code applied successfully',
-                'Coupon applied successfully'
-            ]);
+            const result = await CartResponse.parse(response);
+            const message = CartResponse.getMessage(result) || 'Coupon code applied successfully.';
 
             if (result.success) {
                 const fragments = await this.refreshCartFragments();
                 if (fragments) {
-                    this.showMessage(result.message);
+                    this.showMessage(message);
                     couponInput.value = '';
 
                     const publishedCoupon = document.querySelector(`.publish-coupon[data-code="${couponCode}"]`);
@@ -333,20 +258,23 @@ class MiniCartExtension {
                         couponNode.classList.remove('active');
                     }
                 } else {
-                    this.showMessage(result.message);
+                    this.showMessage(message);
                     couponInput.value = '';
                 }
             } else {
-                throw new Error(result.message || 'Failed to apply coupon');
+                throw new Error(CartResponse.getMessage(result, 'error') || 'Failed to apply coupon');
             }
 
         } catch (error) {
+            // A newer apply of the same code replaced this one, removals keep their own key
+            if (CartRequestQueue.isAbortError(error)) return;
+
             console.error('Error applying coupon:', error);
             this.showMessage(error.message || 'Error applying coupon', 'error');
         } finally {
             button.classList.remove('nasa-disable');
             cart.classList.remove('ext-loading');
-            this.operationInProgress = false;
+            this.operations.delete(operation);
         }
     }
 
@@ -357,60 +285,57 @@ class MiniCartExtension {
         if (!couponCode) return;
 
         // Mark operation as in progress to allow necessary refreshes
-        this.operationInProgress = true;
+        const operation = Symbol('remove_coupon');
+        this.operations.add(operation);
 
         button.classList.add('nasa-disable');
         const cart = button.closest('.nasa-static-sidebar') || button.closest('.widget_shopping_cart_content');
         
         try {
-            let nonce = document.querySelector('#remove_coupon_nonce')?.value;
-            if (!nonce) {
-                await this.loadNonces();
-                nonce = document.querySelector('#remove_coupon_nonce')?.value;
-            }
-
             cart.classList.add('ext-loading');
 
-            const response = await fetch(this.getAjaxUrl('remove_coupon'), {
+            // An expired nonce is refreshed and the request retried once
+            const response = await this.requestQueue.enqueue(`remove_coupon:${couponCode}`, signal => this.nonces.request('remove_coupon', nonce => fetch(this.getAjaxUrl('remove_coupon'), {
                 method: 'POST',
                 credentials: 'same-origin',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
-                body: new URLSearchParams({
+                body: this.endpoints.prepareBody('remove_coupon', new URLSearchParams({
                     security: nonce || '',
                     coupon: couponCode
-                })
-            });
+                })),
+                signal: signal
+            })), { delay: 0 });
 
-            const result = await this.handleServerResponse(response, [
-                'Coupon has been removed',
-                'Coupon removed successfully'
-            ]);
+            const result = await CartResponse.parse(response);
+            const message = CartResponse.getMessage(result) || 'Coupon has been removed.';
 
             if (result.success) {
                 const fragments = await this.refreshCartFragments();
                 if (fragments) {
-                    this.showMessage(result.message);
+                    this.showMessage(message);
 
                     const publishedCoupon = document.querySelector(`.publish-coupon[data-code="${couponCode}"]`);
                     if (publishedCoupon) {
                         publishedCoupon.classList.remove('nasa-actived');
                     }
                 } else {
-                    this.showMessage(result.message);
+                    this.showMessage(message);
                 }
             } else {
-                throw new Error(result.message || 'Failed to remove coupon');
+                throw new Error(CartResponse.getMessage(result, 'error') || 'Failed to remove coupon');
             }
 
         } catch (error) {
+            if (CartRequestQueue.isAbortError(error)) return;
+
             console.error('Error removing coupon:', error);
             this.showMessage(error.message || 'Error removing coupon', 'error');
         } finally {
             button.classList.remove('nasa-disable');
             cart.classList.remove('ext-loading');
-            this.operationInProgress = false;
+            this.operations.delete(operation);
         }
     }
 
@@ -421,7 +346,8 @@ class MiniCartExtension {
         const noteText = noteTextarea?.value?.trim() || '';
         
         // Mark operation as in progress
-        this.operationInProgress = true;
+        const operation = Symbol('note');
+        this.operations.add(operation);
 
         button.classList.add('nasa-disable');
         const cart = button.closest('.nasa-static-sidebar') || button.closest('.widget_shopping_cart_content');
@@ -430,40 +356,44 @@ class MiniCartExtension {
         try {
             cart.classList.add('ext-loading');
 
-            const response = await fetch(this.getAjaxUrl('nasa_mini_cart_note'), {
+            // Serialized with the other cart changes, a newer save replaces a pending one
+            const response = await this.requestQueue.enqueue('note', signal => fetch(this.getAjaxUrl('nasa_mini_cart_note'), {
                 method: 'POST',
                 credentials: 'same-origin',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
-                body: new URLSearchParams({
+                body: this.endpoints.prepareBody('nasa_mini_cart_note', new URLSearchParams({
                     order_comments: noteText
-                })
-            });
+                })),
+                signal: signal
+            }), { delay: 0 });
 
-            const result = await this.handleServerResponse(response, ['Note saved', 'Order notes saved']);
+            const result = await CartResponse.parse(response);
 
-            if (result.data && result.data.error) {
-                throw new Error(result.data.message || 'Failed to save note');
+            if (!result.success) {
+                throw new Error(CartResponse.getMessage(result, 'error') || 'Failed to save note');
             }
 
-            if (result.data && result.data.fragments) {
-                await this.updateFragments(result.data.fragments);
+            if (result.fragments) {
+                await this.updateFragments(result.fragments);
             }
 
-            this.showMessage('Your order notes saved.');
+            this.showMessage(CartResponse.getMessage(result, 'success') || 'Your order notes saved.');
 
             if (noteNode) {
                 noteNode.classList.remove('active');
             }
 
         } catch (error) {
+            if (CartRequestQueue.isAbortError(error)) return;
+
             console.error('Error saving note:', error);
             this.showMessage(error.message || 'Error saving note', 'error');
         } finally {
             button.classList.remove('nasa-disable');
             cart.classList.remove('ext-loading');
-            this.operationInProgress = false;
+            this.operations.delete(operation);
         }
     }
 
@@ -481,25 +411,42 @@ class MiniCartExtension {
         }
     }
 
-    async updateFragments(fragments) {
+    async updateFragments(fragments, cartHash = null) {
         if (!fragments) return;
 
+        // Always keep the shared state current, even when the DOM swap is deferred
+        this.store.applyFragments(fragments, cartHash, { source: 'mini-cart' });
+
         if (this.sidebarOpen && !this.operationInProgress) {
             return;
         }
 
+        this.renderFragments(fragments);
+    }
+
+    // excludeSelector leaves regions owned by another handler (e.g. the cart sidebar) untouched
+    renderFragments(fragments, excludeSelector = null) {
+        let rendered = false;
+
         Object.entries(fragments).forEach(([selector, content]) => {
             const elements = document.querySelectorAll(selector);
             elements.forEach(element => {
+                if (excludeSelector && element.closest(excludeSelector)) return;
+
                 const temp = document.createElement('div');
                 temp.innerHTML = content;
                 
                 if (element.parentNode) {
                     element.parentNode.replaceChild(temp.firstElementChild || temp.firstChild, element);
+                    rendered = true;
                 }
             });
         });
 
+        if (rendered) {
+            this.refreshPolicy.markRefreshed();
+        }
+
         // Trigger necessary events
         ['wc_fragments_refreshed', 'updated_cart_totals', 'nasa_init_shipping_free_notification'].forEach(eventName => {
             document.body.dispatchEvent(new Event(eventName));
@@ -529,7 +476,7 @@ class MiniCartExtension {
     }
 
     getAjaxUrl(endpoint) {
-        return this.ajaxUrl.toString().replace('%%endpoint%%', endpoint);
+        return this.endpoints.getUrl(endpoint);
     }
 }
 
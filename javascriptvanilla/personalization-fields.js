@@ -0,0 +1,205 @@
+/**
+ * Personalization Fields (Vanilla JS)
+ * Renders the personalization block of variations that allow it, keeps typed values per variation
+ * and labels the resulting cart line with what was entered. The fields are checked before add to cart
+ * by AddToCartValidator (add-to-cart-validator.js) along with the rest of the form
+ */
+
+class PersonalizationFields {
+    constructor(controller) {
+        this.controller = controller;
+        this.form = controller.form;
+        this.blocks = new Map();
+        this.submitted = null;
+
+        controller.listen(this.form, 'show_variation', (e) => this.render(e.detail.variation));
+        controller.listen(this.form, 'hide_variation', () => this.detach());
+        controller.listen(this.form, 'reset_data', () => this.detach());
+        controller.listen(this.form, 'added_to_cart', () => this.claimCartLine(controller.lastAddToCartResponse));
+    }
+
+    static isEnabled(variation) {
+        return !!(variation && variation.nasa_custom_fields && variation.nasa_custom_fields.nasa_personalize === 'yes');
+    }
+
+    getBlock() {
+        return this.form.querySelector('.nasa-ct-fields-add-to-cart');
+    }
+
+    // Each variation keeps its own block, so switching back restores what the shopper typed
+    render(variation) {
+        if (!PersonalizationFields.isEnabled(variation)) {
+            this.detach();
+            return;
+        }
+
+        const current = this.getBlock();
+        if (current && current.getAttribute('data-variation') === String(variation.variation_id)) return;
+
+        this.detach();
+
+        let block = this.blocks.get(variation.variation_id);
+        if (!block) {
+            const template = document.getElementById('nasa-single-product-custom-fields');
+            if (!template) return;
+
+            const holder = document.createElement('div');
+            holder.innerHTML = template.innerHTML;
+            block = holder.querySelector('.nasa-ct-fields-add-to-cart') || holder;
+            block.classList.add('nasa-ct-fields-add-to-cart');
+            block.setAttribute('data-variation', variation.variation_id);
+
+            this.blocks.set(variation.variation_id, block);
+        }
+
+        const table = this.form.querySelector('table.variations');
+        if (table) {
+            table.insertAdjacentElement('afterend', block);
+        } else {
+            this.form.prepend(block);
+        }
+    }
+
+    detach() {
+        const block = this.getBlock();
+        if (block) {
+            block.remove();
+        }
+    }
+
+    getFields() {
+        const block = this.getBlock();
+        return block ? Array.from(block.querySelectorAll('input:not([type="hidden"]), textarea, select')) : [];
+    }
+
+    // Values sent with the add to cart, claimed by the cart line it creates
+    capture() {
+        this.submitted = this.collect();
+    }
+
+    // { name, label, value } of every filled field, file fields by file name
+    collect() {
+        return this.getFields().map(field => {
+            let value = field.value;
+            if (field.type === 'file') {
+                value = Array.from(field.files || []).map(file => file.name).join(', ');
+            } else if (field.type === 'checkbox' || field.type === 'radio') {
+                value = field.checked ? field.value : '';
+            }
+
+            const label = (field.id && this.form.querySelector(`label[for="${field.id}"]`)) || field.closest('label');
+
+            return {
+                name: field.name,
+                label: label ? label.textContent.replace(/\*/g, '').trim() : (field.getAttribute('placeholder') || field.name),
+                value: value,
+                file: field.type === 'file'
+            };
+        }).filter(entry => entry.name && entry.value);
+    }
+
+    // The line this add to cart created gets the submitted values, by the key the response returned
+    claimCartLine(response) {
+        const submitted = this.submitted;
+        this.submitted = null;
+        const store = window.nasaCartStore;
+        if (!store || !submitted || !submitted.length) return;
+
+        const match = { key: response && response.cart_item_key, productId: this.controller.productId };
+        store.waitForAddedItem(this.knownKeys, match).then(item => {
+            if (!item) return;
+
+            PersonalizationFields.rememberLine(item.key, submitted);
+            PersonalizationFields.decorateCart();
+        });
+    }
+
+    // Called right before the request, so lines that already existed are not claimed
+    snapshotCart() {
+        this.knownKeys = window.nasaCartStore ? window.nasaCartStore.getState().items.map(item => item.key) : [];
+    }
+
+    static getLines() {
+        try {
+            return JSON.parse(window.sessionStorage.getItem('nasa_personalized_lines') || '{}') || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static rememberLine(cartItemKey, fields) {
+        const lines = PersonalizationFields.getLines();
+        lines[cartItemKey] = fields.map(({ name, label, value, file }) => ({ name, label, value, file }));
+
+        try {
+            window.sessionStorage.setItem('nasa_personalized_lines', JSON.stringify(lines));
+        } catch (error) {
+            // Decoration is cosmetic, the server keeps the values with the cart item
+        }
+    }
+
+    // Lines the server rendered without the values get them added, and expose them for the variation editor
+    static decorateCart() {
+        const lines = PersonalizationFields.getLines();
+
+        Object.entries(lines).forEach(([cartItemKey, fields]) => {
+            document.querySelectorAll(`.remove_from_cart_button[data-cart_item_key="${cartItemKey}"]`).forEach(button => {
+                const cartItem = button.closest('.woocommerce-mini-cart-item, .mini-cart-item');
+                if (!cartItem || cartItem.hasAttribute('data-nasa-personalized')) return;
+
+                cartItem.setAttribute('data-nasa-personalized', 'true');
+
+                const info = cartItem.querySelector('.nasa-info-cart-item');
+                if (info && !info.hasAttribute('data-custom-fields')) {
+                    // Uploaded files cannot be posted again, only typed values are carried over
+                    const customFields = {};
+                    fields.filter(field => !field.file).forEach(field => {
+                        customFields[field.name] = field.value;
+                    });
+                    info.setAttribute('data-custom-fields', JSON.stringify(customFields));
+                }
+
+                let list = cartItem.querySelector('dl.variation');
+                const text = list ? list.textContent : '';
+                const missing = fields.filter(field => !text.includes(field.value));
+                if (!missing.length) return;
+
+                if (!list) {
+                    list = document.createElement('dl');
+                    list.className = 'variation';
+                    (info || cartItem).appendChild(list);
+                }
+
+                missing.forEach(field => {
+                    const term = document.createElement('dt');
+                    term.className = 'variation-nasa-personalize';
+                    term.textContent = `${field.label}:`;
+
+                    const detail = document.createElement('dd');
+                    detail.className = 'variation-nasa-personalize';
+                    detail.textContent = field.value;
+
+                    list.append(term, detail);
+                });
+            });
+        });
+    }
+}
+
+// Cart markup is replaced on every fragment refresh, the fragment events fire on body without bubbling
+const initPersonalizedCart = () => {
+    ['wc_fragments_refreshed', 'wc_fragments_loaded', 'added_to_cart'].forEach(eventName => {
+        document.body.addEventListener(eventName, () => PersonalizationFields.decorateCart());
+    });
+    document.addEventListener('wc_cart_updated', () => PersonalizationFields.decorateCart());
+
+    PersonalizationFields.decorateCart();
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPersonalizedCart);
+} else {
+    initPersonalizedCart();
+}
+
+window.PersonalizationFields = PersonalizationFields;
@@ -0,0 +1,60 @@
+/**
+ * Product Type Adapters (Vanilla JS)
+ * Registry of add to cart adapters per product type (simple, variable, grouped, external, woosb),
+ * each declaring how its form is serialized, validated, submitted and what happens after adding
+ */
+
+class ProductTypeAdapters {
+    constructor() {
+        this.adapters = new Map();
+        this.fallback = 'simple';
+    }
+
+    // adapter: { matches(form), ajax, validate(form, button), serialize(form, button),
+    // submit(payload, button, form), afterAdd(data, button, form) }
+    // extends: 'simple' inherits every method the adapter does not declare
+    register(type, adapter = {}) {
+        const base = adapter.extends ? this.adapters.get(adapter.extends) : null;
+
+        this.adapters.set(type, {
+            ajax: true,
+            matches: () => false,
+            validate: (form) => !window.nasaAddToCartValidator || window.nasaAddToCartValidator.validate(form),
+            serialize: () => null,
+            submit: () => {},
+            afterAdd: () => {},
+            ...(base || {}),
+            ...adapter,
+            type: type
+        });
+
+        return this.adapters.get(type);
+    }
+
+    unregister(type) {
+        this.adapters.delete(type);
+    }
+
+    has(type) {
+        return this.adapters.has(type);
+    }
+
+    // Unknown types behave like simple products
+    get(type) {
+        return this.adapters.get(type) || this.adapters.get(this.fallback);
+    }
+
+    // The theme's data-type input wins, otherwise the latest registered adapter that recognises the form
+    resolve(form) {
+        const typeInput = form.querySelector('input[name="data-type"]');
+        if (typeInput && this.adapters.has(typeInput.value)) {
+            return this.adapters.get(typeInput.value);
+        }
+
+        const matching = Array.from(this.adapters.values()).reverse().find(adapter => adapter.matches(form));
+        return matching || this.get(this.fallback);
+    }
+}
+
+window.ProductTypeAdapters = ProductTypeAdapters;
+window.nasaProductTypes = window.nasaProductTypes || new ProductTypeAdapters();
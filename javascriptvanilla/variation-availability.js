@@ -0,0 +1,145 @@
+/**
+ * Variation Availability Index (Vanilla JS)
+ * Bitset index over a product's variations, answering per option whether a partial selection can
+ * still lead to an in stock, backorder or out of stock variation without rescanning the list
+ */
+
+class VariationAvailabilityIndex {
+    // attributeOptions: { attribute_pa_size: ['s', 'm'] } from the form, covers "any" variations
+    constructor(variations = [], attributeOptions = {}) {
+        this.variations = variations;
+        this.words = Math.ceil(variations.length / 32) || 1;
+        this.statuses = variations.map(variation => VariationAvailabilityIndex.getStockStatus(variation));
+        this.valueSets = {};
+        this.stockSets = {};
+        this.cache = new Map();
+
+        this.build(attributeOptions);
+    }
+
+    // WooCommerce stock status slugs: instock, onbackorder, outofstock
+    static getStockStatus(variation) {
+        if (variation.is_purchasable === false) {
+            return 'outofstock';
+        }
+
+        if (variation.is_in_stock === false) {
+            return variation.backorders_allowed ? 'onbackorder' : 'outofstock';
+        }
+
+        if ((variation.availability_html || '').includes('available-on-backorder')) {
+            return 'onbackorder';
+        }
+
+        return 'instock';
+    }
+
+    build(attributeOptions) {
+        const values = {};
+
+        Object.entries(attributeOptions).forEach(([name, options]) => {
+            values[name] = new Set(options.filter(Boolean));
+        });
+
+        this.variations.forEach(variation => {
+            Object.entries(variation.attributes || {}).forEach(([name, value]) => {
+                if (!values[name]) values[name] = new Set();
+                if (value) values[name].add(value);
+            });
+        });
+
+        Object.entries(values).forEach(([name, attributeValues]) => {
+            this.valueSets[name] = {};
+            attributeValues.forEach(value => {
+                this.valueSets[name][value] = this.createSet();
+            });
+        });
+
+        ['instock', 'onbackorder', 'outofstock'].forEach(status => {
+            this.stockSets[status] = this.createSet();
+        });
+
+        this.variations.forEach((variation, index) => {
+            Object.keys(this.valueSets).forEach(name => {
+                const value = (variation.attributes || {})[name];
+
+                // An empty value means "any", the variation fits every option of that attribute
+                Object.keys(this.valueSets[name]).forEach(option => {
+                    if (!value || value === option) {
+                        this.setBit(this.valueSets[name][option], index);
+                    }
+                });
+            });
+
+            this.setBit(this.stockSets[this.statuses[index]], index);
+        });
+    }
+
+    createSet() {
+        return new Uint32Array(this.words);
+    }
+
+    setBit(set, index) {
+        set[index >>> 5] |= 1 << (index & 31);
+    }
+
+    // Variations compatible with the selection, ignoring one attribute
+    getCandidates(selection, exceptAttribute = null) {
+        const candidates = this.createSet();
+        candidates.fill(0xffffffff);
+
+        Object.entries(selection).forEach(([name, value]) => {
+            if (!value || name === exceptAttribute || !this.valueSets[name]) return;
+
+            const set = this.valueSets[name][value];
+            for (let i = 0; i < this.words; i++) {
+                candidates[i] &= set ? set[i] : 0;
+            }
+        });
+
+        return candidates;
+    }
+
+    static intersects(a, b, c = null) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] & b[i] & (c ? c[i] : 0xffffffff)) return true;
+        }
+        return false;
+    }
+
+    // { attribute: { value: 'instock' | 'onbackorder' | 'outofstock' | null } }, null meaning no such variation
+    getStatuses(selection = {}) {
+        const cacheKey = Object.keys(selection).sort().map(name => `${name}=${selection[name] || ''}`).join('&');
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const result = {};
+
+        Object.entries(this.valueSets).forEach(([name, options]) => {
+            const candidates = this.getCandidates(selection, name);
+            result[name] = {};
+
+            Object.entries(options).forEach(([value, set]) => {
+                result[name][value] = VariationAvailabilityIndex.intersects(candidates, set, this.stockSets.instock) ? 'instock'
+                    : VariationAvailabilityIndex.intersects(candidates, set, this.stockSets.onbackorder) ? 'onbackorder'
+                    : VariationAvailabilityIndex.intersects(candidates, set) ? 'outofstock'
+                    : null;
+            });
+        });
+
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+
+    getOptionStatus(selection, attributeName, value) {
+        const statuses = this.getStatuses(selection)[attributeName];
+        return statuses && value in statuses ? statuses[value] : null;
+    }
+
+    // Purchasable means in stock or on backorder
+    isPurchasable(selection, attributeName, value) {
+        const status = this.getOptionStatus(selection, attributeName, value);
+        return status === 'instock' || status === 'onbackorder';
+    }
+}
+
+window.VariationAvailabilityIndex = VariationAvailabilityIndex;
@@ -0,0 +1,178 @@
+/**
+ * Variation Gallery (Vanilla JS)
+ * Swaps a product's whole gallery (slides, thumbnail strip, lightbox items) for the image set of
+ * the chosen variation, restores the original on reset and preloads sets ahead of time. The gallery
+ * is rebuilt and handed to WooCommerce's gallery script again (flexslider, zoom, photoswipe)
+ */
+
+class VariationGallery {
+    constructor(scope) {
+        this.scope = scope;
+        this.gallery = scope.querySelector('.woocommerce-product-gallery');
+        this.wrapper = this.gallery ? this.gallery.querySelector('.woocommerce-product-gallery__wrapper') : null;
+        this.original = null;
+        this.currentKey = null;
+    }
+
+    // variation.gallery_images (or variation_gallery_images) holds WooCommerce image objects like variation.image
+    static getImages(variation) {
+        if (!variation) return [];
+
+        const images = variation.gallery_images || variation.variation_gallery_images || [];
+        return Array.isArray(images) ? images.filter(image => image && image.src) : [];
+    }
+
+    show(images) {
+        if (!this.wrapper || !images.length) return false;
+
+        const key = images.map(image => image.src).join('|');
+        if (key === this.currentKey) return true;
+
+        this.snapshot();
+
+        this.rebuild(images.map((image, index) => this.createSlide(image, index)));
+
+        const thumbs = this.getThumbs();
+        if (thumbs) {
+            thumbs.innerHTML = '';
+            images.forEach((image, index) => thumbs.appendChild(this.createThumb(image, index)));
+        }
+
+        this.currentKey = key;
+        this.changed(images);
+        return true;
+    }
+
+    reset() {
+        if (!this.original || this.currentKey === null) return;
+
+        this.rebuild(this.original.slides.map(slide => slide.cloneNode(true)));
+
+        const thumbs = this.getThumbs();
+        if (thumbs && this.original.thumbs !== null) {
+            thumbs.innerHTML = this.original.thumbs;
+        }
+
+        this.currentKey = null;
+        this.changed(null);
+    }
+
+    // The server rendered gallery is kept once, before the first swap, without what the slider and zoom added
+    snapshot() {
+        if (this.original) return;
+
+        const thumbs = this.getThumbs();
+        this.original = {
+            slides: Array.from(this.wrapper.children).map(slide => {
+                const copy = slide.cloneNode(true);
+                copy.removeAttribute('style');
+                copy.classList.remove('flex-active-slide');
+                copy.querySelectorAll('.zoomImg').forEach(zoom => zoom.remove());
+                return copy;
+            }),
+            thumbs: thumbs ? thumbs.innerHTML : null
+        };
+    }
+
+    // flexslider cannot be set up twice on one element: a fresh gallery element takes the old one's place
+    // and WooCommerce builds its slider, thumbnails, zoom and lightbox on it like on page load
+    rebuild(slides) {
+        const gallery = this.gallery.cloneNode(false);
+        const wrapper = this.wrapper.cloneNode(false);
+        wrapper.append(...slides);
+        gallery.appendChild(wrapper);
+
+        // Badges and other theme markup inside the gallery stay
+        Array.from(this.gallery.children)
+            .filter(child => !child.matches('.flex-viewport, .flex-control-nav, .flex-direction-nav, .woocommerce-product-gallery__trigger, .woocommerce-product-gallery__wrapper'))
+            .forEach(child => gallery.insertBefore(child, wrapper));
+
+        this.gallery.replaceWith(gallery);
+        this.gallery = gallery;
+        this.wrapper = wrapper;
+
+        const $ = window.jQuery;
+        if ($ && $.fn.wc_product_gallery) {
+            const params = window.wc_single_product_params || {};
+            $(gallery).trigger('wc-product-gallery-before-init', [gallery, params]);
+            $(gallery).wc_product_gallery(params);
+            $(gallery).trigger('wc-product-gallery-after-init', [gallery, params]);
+        }
+    }
+
+    // WooCommerce's own strip is rebuilt with the gallery, theme strips are filled here
+    getThumbs() {
+        return this.scope.querySelector('.product-thumbnails, .nasa-thumb-wrap');
+    }
+
+    createSlide(image, index) {
+        const slide = document.createElement('div');
+        slide.className = 'woocommerce-product-gallery__image';
+        slide.setAttribute('data-thumb', image.gallery_thumbnail_src || image.thumb_src || image.src);
+        slide.setAttribute('data-thumb-alt', image.alt || '');
+
+        // Lightbox items are read from the slide links and data-large_image attributes
+        const link = document.createElement('a');
+        link.href = image.full_src || image.src;
+
+        const img = document.createElement('img');
+        img.src = image.src;
+        img.alt = image.alt || '';
+        if (image.srcset) img.srcset = image.srcset;
+        if (image.sizes) img.sizes = image.sizes;
+        if (image.title) img.title = image.title;
+        img.setAttribute('data-caption', image.caption || '');
+        img.setAttribute('data-src', image.full_src || image.src);
+        img.setAttribute('data-large_image', image.full_src || image.src);
+        img.setAttribute('data-large_image_width', image.full_src_w || '');
+        img.setAttribute('data-large_image_height', image.full_src_h || '');
+        if (index === 0) {
+            img.classList.add('wp-post-image');
+        } else {
+            img.loading = 'lazy';
+        }
+
+        link.appendChild(img);
+        slide.appendChild(link);
+        return slide;
+    }
+
+    createThumb(image, index) {
+        const item = document.createElement('li');
+        const img = document.createElement('img');
+        img.src = image.gallery_thumbnail_src || image.thumb_src || image.src;
+        img.alt = image.alt || '';
+        img.loading = 'lazy';
+
+        if (index === 0) {
+            img.classList.add('flex-active');
+        }
+
+        item.appendChild(img);
+        return item;
+    }
+
+    // images: the variation's set, null when the original gallery is back
+    changed(images) {
+        this.gallery.dispatchEvent(new CustomEvent('nasa_variation_gallery_changed', {
+            detail: { images: images },
+            bubbles: true
+        }));
+    }
+
+    static preload(images) {
+        images.forEach(image => {
+            if (!image.src || VariationGallery.preloaded.has(image.src)) return;
+
+            VariationGallery.preloaded.add(image.src);
+            const preloader = new Image();
+            if (image.srcset) preloader.srcset = image.srcset;
+            if (image.sizes) preloader.sizes = image.sizes;
+            preloader.src = image.src;
+        });
+    }
+}
+
+VariationGallery.preloaded = new Set();
+
+window.VariationGallery = VariationGallery;
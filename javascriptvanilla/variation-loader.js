@@ -0,0 +1,134 @@
+/**
+ * Variation Loader (Vanilla JS)
+ * Looks up single variations through the get_variation endpoint for products whose variation set
+ * is too large to embed, caching answers (including "no match") in memory and sessionStorage
+ */
+
+class VariationLoader {
+    constructor(options = {}) {
+        this.options = {
+            ttl: 10 * 60 * 1000,
+            storagePrefix: 'nasa_variations_',
+            ...options
+        };
+        this.cache = new Map();
+        this.pending = new Map();
+        this.endpoints = window.nasaCartEndpoints;
+    }
+
+    // Same selection, same key, whatever order the attributes were chosen in
+    static cacheKey(attributes) {
+        return Object.keys(attributes)
+            .sort()
+            .map(name => `${name}=${attributes[name]}`)
+            .join('&');
+    }
+
+    // undefined when the selection was never looked up, null when it has no variation
+    peek(productId, attributes) {
+        const entries = this.getProductCache(productId);
+        const entry = entries[VariationLoader.cacheKey(attributes)];
+
+        if (!entry || Date.now() - entry.time > this.options.ttl) return undefined;
+
+        return entry.variation;
+    }
+
+    // options.signal: callers that may abort (availability probes) share pending requests but
+    // never hand theirs to others
+    get(productId, attributes, options = {}) {
+        const cached = this.peek(productId, attributes);
+        if (cached !== undefined) return Promise.resolve(cached);
+
+        const requestKey = `${productId}|${VariationLoader.cacheKey(attributes)}`;
+        if (this.pending.has(requestKey)) return this.pending.get(requestKey);
+
+        const body = new URLSearchParams({ ...attributes, product_id: productId });
+        if (options.customData) {
+            body.append('custom_data', options.customData);
+        }
+
+        const request = fetch(this.endpoints.getUrl('get_variation'), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: this.endpoints.prepareBody('get_variation', body),
+            signal: options.signal || null
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Variation request failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(variation => {
+                // WooCommerce answers false when no variation matches
+                const result = variation && variation.variation_id ? variation : null;
+                this.remember(productId, attributes, result);
+                return result;
+            })
+            .finally(() => {
+                if (this.pending.get(requestKey) === request) {
+                    this.pending.delete(requestKey);
+                }
+            });
+
+        if (!options.signal) {
+            this.pending.set(requestKey, request);
+        }
+        return request;
+    }
+
+    remember(productId, attributes, variation) {
+        const entries = this.getProductCache(productId);
+        entries[VariationLoader.cacheKey(attributes)] = { variation: variation, time: Date.now() };
+
+        try {
+            window.sessionStorage.setItem(this.options.storagePrefix + productId, JSON.stringify(entries));
+        } catch (error) {
+            // Storage can be full or unavailable in private mode, memory still works
+        }
+    }
+
+    // Every variation looked up so far, for availability checks
+    getKnownVariations(productId) {
+        const entries = this.getProductCache(productId);
+
+        return Object.values(entries)
+            .filter(entry => entry.variation && Date.now() - entry.time <= this.options.ttl)
+            .map(entry => entry.variation);
+    }
+
+    getProductCache(productId) {
+        if (!this.cache.has(productId)) {
+            let entries = {};
+            try {
+                entries = JSON.parse(window.sessionStorage.getItem(this.options.storagePrefix + productId) || '{}') || {};
+            } catch (error) {
+                entries = {};
+            }
+            this.cache.set(productId, entries);
+        }
+
+        return this.cache.get(productId);
+    }
+
+    clear(productId = null) {
+        const productIds = productId ? [productId] : Array.from(this.cache.keys());
+
+        productIds.forEach(id => {
+            this.cache.delete(id);
+            try {
+                window.sessionStorage.removeItem(this.options.storagePrefix + id);
+            } catch (error) {
+                // Nothing to clean up
+            }
+        });
+    }
+}
+
+// Shared instance
+window.VariationLoader = VariationLoader;
+window.nasaVariationLoader = window.nasaVariationLoader || new VariationLoader();
@@ -0,0 +1,129 @@
+/**
+ * Variation Swatches (Vanilla JS)
+ * Renders colour, image and label swatches for variation selects from attribute metadata,
+ * replacing the jQuery nasa_attr_ux_variation_form plugin markup on product pages
+ */
+
+class VariationSwatches {
+    constructor(form) {
+        this.form = form;
+        this.labels = {
+            outofstock: 'Out of stock',
+            onbackorder: 'Available on backorder',
+            ...((window.nasa_swatch_params && window.nasa_swatch_params.i18n) || {})
+        };
+    }
+
+    // Metadata: data-swatch_type on the select, data-color / data-image on its options,
+    // or nasa_swatch_params.attributes[attribute_name] = { type, options: { value: { color, image, label } } }
+    getAttributeMeta(select) {
+        const name = select.getAttribute('data-attribute_name') || select.name;
+        const params = (window.nasa_swatch_params && window.nasa_swatch_params.attributes) || {};
+        const meta = params[name] || {};
+        const type = select.getAttribute('data-swatch_type') || meta.type;
+
+        if (!type) return null;
+
+        const options = Array.from(select.options).filter(option => option.value).map(option => {
+            const optionMeta = (meta.options && meta.options[option.value]) || {};
+
+            return {
+                value: option.value,
+                label: optionMeta.label || option.textContent.trim(),
+                color: option.getAttribute('data-color') || optionMeta.color || '',
+                image: option.getAttribute('data-image') || optionMeta.image || ''
+            };
+        });
+
+        return { name: name, type: type, options: options };
+    }
+
+    // Selects that already have server rendered swatches are left alone
+    render() {
+        this.form.querySelectorAll('.variations select').forEach(select => {
+            const container = select.closest('.value, .variation') || select.parentElement;
+            if (container.querySelector('.nasa-attr-ux_wrap')) return;
+
+            const meta = this.getAttributeMeta(select);
+            if (!meta) return;
+
+            container.insertBefore(this.createWrap(meta, select), select);
+
+            select.style.display = 'none';
+            select.setAttribute('aria-hidden', 'true');
+            select.tabIndex = -1;
+        });
+    }
+
+    createWrap(meta, select) {
+        const wrap = document.createElement('div');
+        wrap.className = `nasa-attr-ux_wrap nasa-attr-ux-${meta.type}`;
+        wrap.setAttribute('data-attribute_name', meta.name);
+        wrap.setAttribute('role', 'radiogroup');
+
+        const label = select.id && this.form.querySelector(`label[for="${select.id}"]`);
+        if (label) {
+            wrap.setAttribute('aria-label', label.textContent.trim());
+        }
+
+        meta.options.forEach(option => {
+            wrap.appendChild(this.createSwatch(meta.type, option, select.value === option.value));
+        });
+
+        return wrap;
+    }
+
+    createSwatch(type, option, isSelected) {
+        const swatch = document.createElement('a');
+        swatch.href = 'javascript:void(0);';
+        swatch.rel = 'nofollow';
+        swatch.className = `nasa-attr-ux nasa-attr-ux-${type}`;
+        swatch.setAttribute('data-value', option.value);
+        swatch.setAttribute('data-label', option.label);
+        swatch.setAttribute('role', 'radio');
+
+        if (type === 'color' && option.color) {
+            const color = document.createElement('span');
+            color.className = 'nasa-attr-bg';
+            color.style.backgroundColor = option.color;
+            swatch.appendChild(color);
+        } else if (type === 'image' && option.image) {
+            const image = document.createElement('img');
+            image.className = 'nasa-attr-bg nasa-attr-bg-img';
+            image.src = option.image;
+            image.alt = option.label;
+            image.loading = 'lazy';
+            swatch.appendChild(image);
+        } else {
+            const text = document.createElement('span');
+            text.className = 'nasa-attr-text';
+            text.textContent = option.label;
+            swatch.appendChild(text);
+        }
+
+        swatch.classList.toggle('selected', isSelected);
+        this.updateTooltip(swatch);
+
+        return swatch;
+    }
+
+    // Selected / disabled / stock state into ARIA and the tooltip label
+    refresh() {
+        this.form.querySelectorAll('.nasa-attr-ux_wrap .nasa-attr-ux').forEach(swatch => this.updateTooltip(swatch));
+    }
+
+    updateTooltip(swatch) {
+        const label = swatch.getAttribute('data-label') || swatch.getAttribute('data-value');
+        const status = swatch.getAttribute('data-stock_status');
+        const disabled = swatch.classList.contains('nasa-disable');
+        const tip = this.labels[status] ? `${label} - ${this.labels[status]}` : label;
+
+        swatch.title = tip;
+        swatch.setAttribute('data-tip', tip);
+        swatch.setAttribute('aria-label', tip);
+        swatch.setAttribute('aria-checked', swatch.classList.contains('selected') ? 'true' : 'false');
+        swatch.setAttribute('aria-disabled', disabled || status === 'outofstock' ? 'true' : 'false');
+    }
+}
+
+window.VariationSwatches = VariationSwatches;
@@ -0,0 +1,63 @@
+/**
+ * Variation URL Sync (Vanilla JS)
+ * Mirrors a variation form's selected attributes into attribute_* query parameters with
+ * history.replaceState, and preselects them again on load and on back/forward navigation
+ */
+
+class VariationUrlSync {
+    constructor(controller) {
+        this.controller = controller;
+        this.onPopState = () => this.controller.applySelection(this.read());
+
+        window.addEventListener('popstate', this.onPopState);
+        VariationUrlSync.active = this;
+    }
+
+    // Only the main product form owns the URL, not quick views, sidebars or grid quick-adds
+    static shouldSync(form) {
+        if (VariationUrlSync.active || form.getAttribute('data-url_sync') === 'false') return false;
+        if (typeof window.history.replaceState !== 'function') return false;
+
+        return !form.closest('.product-lightbox, .mini-cart-change-variation, .nasa-static-sidebar, .nasa-product-content-variable-warp');
+    }
+
+    read() {
+        const params = new URLSearchParams(window.location.search);
+        const selection = {};
+
+        this.controller.getAttributeNames().forEach(name => {
+            if (params.has(name)) {
+                selection[name] = params.get(name);
+            }
+        });
+
+        return selection;
+    }
+
+    write(selectedAttributes) {
+        const url = new URL(window.location.href);
+
+        this.controller.getAttributeNames().forEach(name => {
+            if (selectedAttributes[name]) {
+                url.searchParams.set(name, selectedAttributes[name]);
+            } else {
+                url.searchParams.delete(name);
+            }
+        });
+
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('popstate', this.onPopState);
+        if (VariationUrlSync.active === this) {
+            VariationUrlSync.active = null;
+        }
+    }
+}
+
+VariationUrlSync.active = null;
+
+window.VariationUrlSync = VariationUrlSync;
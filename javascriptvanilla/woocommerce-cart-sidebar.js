@@ -6,12 +6,23 @@
 class WooCommerceCartSidebar {
     constructor() {
         this.sidebar = null;
-        this.isVisible = false;
         this.isLoading = false;
+        this.store = window.nasaCartStore;
+        this.requestQueue = window.nasaCartRequestQueue;
+        this.endpoints = window.nasaCartEndpoints;
+        this.nonces = window.nasaCartNonces;
+        this.pendingLines = new Map();
+        this.lineVariations = new Map();
+        this.refreshPolicy = new FragmentRefreshPolicy({ debounce: 100, maxStaleness: 30000 });
         
         this.init();
     }
 
+    // Open state lives in the shared cart store, the class guards against popup carts
+    get isVisible() {
+        return !!this.sidebar && !!this.store && this.sidebar.classList.contains('nasa-active') && this.store.getState().isOpen;
+    }
+
     init() {
         // Wait for DOM to be ready
         if (document.readyState === 'loading') {
@@ -22,9 +33,18 @@ class WooCommerceCartSidebar {
     }
 
     initializeSidebar() {
+        // cart-store.js has to be enqueued before this file
+        if (!this.store) {
+            console.warn('Cart store not found, cart sidebar disabled');
+            return;
+        }
+
         this.setupSidebarElements();
         this.setupEventListeners();
+        this.setupStoreSubscription();
+        this.registerOfflineHandlers();
         this.setupKeyboardHandlers();
+        this.registerAfterAddToCart();
         
         // Check if sidebar should be shown on load
         this.checkInitialState();
@@ -75,13 +95,27 @@ class WooCommerceCartSidebar {
             this.handleAddedToCart(e.detail);
         });
 
-        // Listen for cart updates
+        // Listen for cart updates, a burst of them reloads the sidebar once
         document.addEventListener('wc_fragments_refreshed', () => {
-            this.updateSidebarContent();
+            this.refreshPolicy.schedule(() => this.updateSidebarContent());
         });
 
-        document.addEventListener('wc_cart_updated', () => {
-            this.updateSidebarContent();
+        document.addEventListener('wc_cart_updated', (e) => {
+            // Our own mutations already rendered the newest fragments
+            if (e.detail && e.detail.source === 'sidebar') return;
+            
+            this.refreshPolicy.schedule(() => this.updateSidebarContent());
+        });
+    }
+
+    setupStoreSubscription() {
+        if (!this.sidebar) return;
+
+        this.unsubscribeStore = this.store.subscribe((state, prevState, meta) => {
+            // Render fragments written by the other cart handlers, and always those from other tabs
+            if (meta.fragments && meta.source !== 'sidebar' && (this.isVisible || meta.source === 'broadcast')) {
+                this.updateSidebarFromFragments(meta.fragments);
+            }
         });
     }
 
@@ -101,16 +135,31 @@ class WooCommerceCartSidebar {
         }
     }
 
+    // The sidebar strategy of after-add-to-cart.js opens this sidebar instead of the inline one
+    registerAfterAddToCart() {
+        if (!this.sidebar || !window.nasaAfterAddToCart) return;
+
+        window.nasaAfterAddToCart.register('sidebar', () => this.openAfterAddToCart());
+    }
+
+    openAfterAddToCart() {
+        this.sidebar.classList.remove('nasa_update_from_mini_cart');
+        this.showSidebar();
+        // Force reload cart content after adding
+        setTimeout(() => {
+            this.loadSidebarContent(true);
+        }, 100);
+    }
+
     handleAddedToCart(detail = {}) {
+        // The strategies decide when they are loaded
+        if (window.nasaAfterAddToCart) return;
+
         // Check if sidebar mode is enabled
         const eventAfterAddToCart = this.getEventAfterAddToCart();
         
         if (eventAfterAddToCart === 'sidebar') {
-            this.showSidebar();
-            // Force reload cart content after adding
-            setTimeout(() => {
-                this.loadSidebarContent(true);
-            }, 100);
+            this.openAfterAddToCart();
         }
     }
 
@@ -134,7 +183,7 @@ class WooCommerceCartSidebar {
         
         // Show sidebar
         this.sidebar.classList.add('nasa-active');
-        this.isVisible = true;
+        this.store.setOpen(true, { source: 'sidebar' });
         
         // Load content
         this.loadSidebarContent();
@@ -158,10 +207,12 @@ class WooCommerceCartSidebar {
         
         // Hide sidebar
         this.sidebar.classList.remove('nasa-active');
-        this.isVisible = false;
+        this.store.setOpen(false, { source: 'sidebar' });
         
         // Reset title
         this.resetSidebarTitle();
+        
+        document.body.dispatchEvent(new CustomEvent('nasa_closed_cart_sidebar'));
     }
 
     updateSidebarTitle(isAdding = false) {
@@ -210,6 +261,7 @@ class WooCommerceCartSidebar {
                     // Direct content response
                     cartContent.innerHTML = response.content;
                     this.setupSidebarEventHandlers();
+                    this.refreshPolicy.markRefreshed();
                 } else {
                     // Fallback: try to get cart via different method
                     this.loadCartViaForm();
@@ -223,35 +275,30 @@ class WooCommerceCartSidebar {
     }
 
     async fetchCartContent() {
-        // Try WooCommerce AJAX endpoint first
+        // Try WooCommerce AJAX endpoint first, through the shared store
         try {
-            const response = await fetch(window.location.origin + '/?wc-ajax=get_refreshed_fragments', {
-                method: 'GET',
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest'
-                }
-            });
-            
-            if (response.ok) {
-                return await response.json();
-            }
+            return await this.store.fetchFragments({ source: 'sidebar' });
         } catch (error) {
             console.log('WC AJAX failed, trying alternative method');
         }
         
         // Try alternative endpoint
         try {
-            const response = await fetch(window.location.origin + '/wp-admin/admin-ajax.php', {
+            const response = await fetch(this.endpoints.getUrl('woocommerce_get_refreshed_fragments'), {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded',
                     'X-Requested-With': 'XMLHttpRequest'
                 },
-                body: 'action=woocommerce_get_refreshed_fragments'
+                body: this.endpoints.prepareBody('woocommerce_get_refreshed_fragments', new URLSearchParams())
             });
             
             if (response.ok) {
-                return await response.json();
+                const data = await response.json();
+                if (data && data.fragments) {
+                    this.store.applyFragments(data.fragments, data.cart_hash, { source: 'sidebar' });
+                }
+                return data;
             }
         } catch (error) {
             console.log('Admin AJAX failed, trying form method');
@@ -285,6 +332,7 @@ class WooCommerceCartSidebar {
             if (xhr.status === 200) {
                 try {
                     const response = JSON.parse(xhr.responseText);
+                    this.store.applyFragments(response.fragments, response.cart_hash, { source: 'sidebar' });
                     this.updateSidebarFromFragments(response.fragments);
                 } catch (e) {
                     // If JSON parsing fails, try to extract cart content from HTML
@@ -314,6 +362,7 @@ class WooCommerceCartSidebar {
             if (sidebarCartContent) {
                 sidebarCartContent.innerHTML = cartContent.innerHTML;
                 this.setupSidebarEventHandlers();
+                this.refreshPolicy.markRefreshed();
                 return;
             }
         }
@@ -325,12 +374,15 @@ class WooCommerceCartSidebar {
     updateSidebarFromFragments(fragments) {
         if (!fragments || !this.sidebar) return;
 
+        let cartReplaced = false;
+
         // Update cart content
         const cartContentFragment = fragments['.widget_shopping_cart_content'];
         if (cartContentFragment) {
             const cartContent = this.sidebar.querySelector('.widget_shopping_cart_content');
             if (cartContent) {
                 cartContent.innerHTML = cartContentFragment;
+                cartReplaced = true;
             }
         }
 
@@ -341,6 +393,7 @@ class WooCommerceCartSidebar {
                 elements.forEach(element => {
                     if (fragments[selector]) {
                         element.innerHTML = fragments[selector];
+                        cartReplaced = cartReplaced || selector.includes('widget_shopping_cart_content');
                     }
                 });
             }
@@ -349,8 +402,10 @@ class WooCommerceCartSidebar {
         // Setup event handlers for new content
         this.setupSidebarEventHandlers();
         
-        // Mark as refreshed
-        this.lastRefresh = Date.now();
+        // Only a re-rendered cart is fresh, other fragments leave the lines as they were
+        if (cartReplaced) {
+            this.refreshPolicy.markRefreshed();
+        }
     }
 
     updateSidebarContent() {
@@ -360,8 +415,8 @@ class WooCommerceCartSidebar {
     }
 
     needsRefresh() {
-        // Refresh if content is older than 30 seconds
-        return !this.lastRefresh || (Date.now() - this.lastRefresh) > 30000;
+        // Refresh if content is older than the policy's max staleness
+        return this.refreshPolicy.isStale();
     }
 
     showLoadingState() {
@@ -387,6 +442,8 @@ class WooCommerceCartSidebar {
     setupSidebarEventHandlers() {
         if (!this.sidebar) return;
 
+        this.stampLineFields();
+
         // Quantity controls
         const quantityControls = this.sidebar.querySelectorAll('.quantity');
         quantityControls.forEach(control => {
@@ -405,14 +462,17 @@ class WooCommerceCartSidebar {
             }
         });
 
-        // Variation change buttons (if any)
+        // Variation change: clicking a line's attribute list opens the inline editor
         const variationButtons = this.sidebar.querySelectorAll('.nasa-change_variation_mini_cart');
         variationButtons.forEach(button => {
             if (!button.hasAttribute('data-initialized')) {
                 button.setAttribute('data-initialized', 'true');
                 button.addEventListener('click', (e) => {
+                    const trigger = e.target.closest('.mini-cart-item dl.variation');
+                    if (!trigger || button.classList.contains('nasa-cart-variation-updating')) return;
+
                     e.preventDefault();
-                    this.handleVariationChange(button);
+                    this.handleVariationChange(trigger);
                 });
             }
         });
@@ -500,53 +560,44 @@ class WooCommerceCartSidebar {
             return;
         }
 
-        // Show loading state for this item
+        // Show the new line and subtotal right away, the server reconciles below
         if (cartItem) {
             cartItem.classList.add('updating');
+            this.applyOptimisticQuantity(cartItem, cartItemKey, parseFloat(quantity) || 0);
         }
 
-        // Send AJAX request to update quantity
-        const formData = new FormData();
-        formData.append('action', 'woocommerce_update_cart_item_quantity');
-        formData.append('cart_item_key', cartItemKey);
-        formData.append('quantity', quantity);
-        formData.append('security', this.getUpdateCartNonce());
-        
-        const xhr = new XMLHttpRequest();
-        xhr.open('POST', window.location.origin + '/wp-admin/admin-ajax.php');
-        xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
-        
-        xhr.onload = () => {
-            if (cartItem) {
-                cartItem.classList.remove('updating');
-            }
-            
-            if (xhr.status === 200) {
-                try {
-                    const response = JSON.parse(xhr.responseText);
-                    if (response.success) {
-                        // Refresh sidebar content
-                        this.loadSidebarContent(true);
-                        
-                        // Trigger cart update event
-                        document.dispatchEvent(new CustomEvent('wc_cart_updated'));
-                    }
-                } catch (e) {
-                    console.error('Error updating cart:', e);
-                    // Fallback: reload the page
-                    window.location.reload();
+        // No connection: keep the change for replay, the line stays as the shopper left it
+        if (this.isOffline()) {
+            this.queueOfflineChange(cartItem, 'update', cartItemKey, { cartItemKey: cartItemKey, quantity: quantity });
+            return;
+        }
+
+        // Rapid plus/minus clicks on the same line collapse into the newest quantity
+        this.requestQueue.enqueue(`item:${cartItemKey}`, signal => this.sendQuantityUpdate(cartItemKey, quantity, signal))
+            .then(() => {
+                if (cartItem) {
+                    cartItem.classList.remove('updating');
                 }
-            }
-        };
-        
-        xhr.onerror = () => {
-            if (cartItem) {
-                cartItem.classList.remove('updating');
-            }
-            console.error('Network error updating cart');
-        };
-        
-        xhr.send(formData);
+                
+                this.confirmLine(cartItemKey, parseFloat(quantity) || 0);
+                this.refreshAfterMutation();
+            })
+            .catch(error => {
+                // Superseded by a newer change to the same line
+                if (CartRequestQueue.isAbortError(error)) return;
+                
+                if (window.nasaCartOffline && CartOfflineQueue.isNetworkError(error)) {
+                    this.queueOfflineChange(cartItem, 'update', cartItemKey, { cartItemKey: cartItemKey, quantity: quantity });
+                    return;
+                }
+                
+                console.error('Error updating cart:', error);
+                
+                if (cartItem) {
+                    cartItem.classList.remove('updating');
+                    this.rollbackLine(cartItem, cartItemKey, error.message);
+                }
+            });
     }
 
     removeCartItem(button) {
@@ -558,60 +609,598 @@ class WooCommerceCartSidebar {
             return;
         }
 
-        // Show loading state
+        // Hide the line right away, the server reconciles below
         if (cartItem) {
             cartItem.classList.add('removing');
+            this.applyOptimisticQuantity(cartItem, cartItemKey, 0);
         }
 
-        // Send AJAX request to remove item
-        const xhr = new XMLHttpRequest();
-        xhr.open('GET', button.href);
-        xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
-        
-        xhr.onload = () => {
-            if (xhr.status === 200) {
-                // Refresh sidebar content
-                this.loadSidebarContent(true);
+        if (this.isOffline()) {
+            this.queueOfflineChange(cartItem, 'remove', cartItemKey, { cartItemKey: cartItemKey, url: button.href });
+            return;
+        }
+
+        // Removal supersedes any pending quantity change of the same line
+        this.requestQueue.enqueue(`item:${cartItemKey}`, signal => this.sendRemoval(button.href, signal), { delay: 0 })
+            .then(() => {
+                this.confirmLine(cartItemKey, 0);
+                this.refreshAfterMutation();
+            })
+            .catch(error => {
+                if (CartRequestQueue.isAbortError(error)) return;
+                
+                if (window.nasaCartOffline && CartOfflineQueue.isNetworkError(error)) {
+                    this.queueOfflineChange(cartItem, 'remove', cartItemKey, { cartItemKey: cartItemKey, url: button.href });
+                    return;
+                }
                 
-                // Trigger cart update event
-                document.dispatchEvent(new CustomEvent('wc_cart_updated'));
-            } else {
                 if (cartItem) {
                     cartItem.classList.remove('removing');
+                    this.rollbackLine(cartItem, cartItemKey, error.message);
                 }
+            });
+    }
+
+    sendQuantityUpdate(cartItemKey, quantity, signal = null) {
+        // An expired nonce is refreshed and the request retried once
+        return this.nonces.request('woocommerce_update_cart_item_quantity', nonce => {
+            const formData = this.endpoints.prepareBody('woocommerce_update_cart_item_quantity');
+            formData.append('cart_item_key', cartItemKey);
+            formData.append('quantity', quantity);
+            formData.append('security', nonce);
+
+            return this.fetchMutation(this.endpoints.getUrl('woocommerce_update_cart_item_quantity'), {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                body: formData,
+                signal: signal
+            });
+        }).then(response => this.parseMutationResponse(response));
+    }
+
+    // The link's own _wpnonce is used unless the nonce manager holds a newer one
+    sendRemoval(url, signal = null) {
+        return this.nonces.request('remove_cart_item', nonce => {
+            const removeUrl = new URL(url, window.location.href);
+            if (nonce) {
+                removeUrl.searchParams.set('_wpnonce', nonce);
             }
-        };
+
+            return this.fetchMutation(removeUrl.href, {
+                method: 'GET',
+                credentials: 'same-origin',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                signal: signal
+            });
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(this.getMutationErrorMessage(response.status));
+            }
+            return response;
+        });
+    }
+
+    // Only a rejected fetch means the change never reached the server and may be queued for replay,
+    // errors thrown while handling a response must not send it a second time
+    fetchMutation(url, options) {
+        return fetch(url, options).catch(error => {
+            error.nasaNetworkError = true;
+            throw error;
+        });
+    }
+
+    isOffline() {
+        return !!window.nasaCartOffline && !window.nasaCartOffline.isOnline();
+    }
+
+    queueOfflineChange(cartItem, type, cartItemKey, payload) {
+        if (cartItem) {
+            cartItem.classList.remove('updating', 'removing');
+            cartItem.classList.add('nasa-pending');
+        }
+
+        const nameElement = cartItem?.querySelector('.product-name, .mini-cart-item-name');
         
-        xhr.onerror = () => {
+        window.nasaCartOffline.enqueue({
+            type: type,
+            key: `item:${cartItemKey}`,
+            label: nameElement ? nameElement.textContent.trim() : (this.store.getItem(cartItemKey)?.name || cartItemKey),
+            payload: payload
+        }).catch(error => {
+            console.error('Error saving offline cart change:', error);
             if (cartItem) {
-                cartItem.classList.remove('removing');
+                this.rollbackLine(cartItem, cartItemKey, this.getMutationErrorMessage());
             }
-        };
+        });
+    }
+
+    // Replays line changes stored while offline
+    registerOfflineHandlers() {
+        if (!window.nasaCartOffline) return;
+
+        window.nasaCartOffline.registerHandler('update', payload => {
+            return this.sendQuantityUpdate(payload.cartItemKey, payload.quantity)
+                .then(() => this.pendingLines.delete(payload.cartItemKey));
+        });
+
+        window.nasaCartOffline.registerHandler('remove', payload => {
+            return this.sendRemoval(payload.url)
+                .then(() => this.pendingLines.delete(payload.cartItemKey));
+        });
+    }
+
+    // Rejects on nonce failures (-1 / 403) and on unsuccessful JSON responses
+    async parseMutationResponse(response) {
+        const result = await CartResponse.parse(response);
         
-        xhr.send();
+        if (result.status === 403 || result.data === -1) {
+            throw new Error(this.getMutationErrorMessage(403));
+        }
+        
+        if (!result.success || !result.data) {
+            throw new Error(CartResponse.getMessage(result, 'error') || this.getMutationErrorMessage(result.status));
+        }
+        
+        return result.data;
     }
 
-    handleVariationChange(button) {
-        // This would handle the variation change functionality
-        // Implementation depends on the specific theme requirements
-        console.log('Variation change clicked', button);
+    getMutationErrorMessage(status) {
+        if (status === 403) {
+            return 'Your session has expired. Please refresh the page and try again.';
+        }
+        
+        return 'Sorry, this item could not be updated. Please try again.';
     }
 
-    getUpdateCartNonce() {
-        // Try to get nonce from various possible sources
-        const nonceInput = document.querySelector('input[name="woocommerce-cart-nonce"]');
-        if (nonceInput) return nonceInput.value;
+    // The first optimistic change of a line remembers its confirmed state for rollback
+    applyOptimisticQuantity(cartItem, cartItemKey, quantity) {
+        if (!this.pendingLines.has(cartItemKey)) {
+            const input = cartItem.querySelector('input.qty');
+            const priceElement = cartItem.querySelector('.quantity .amount, .product-price .amount, .amount');
+            const confirmedQuantity = this.store.getItem(cartItemKey)?.quantity ??
+                (input ? parseFloat(input.defaultValue) || 0 : 1);
+            
+            this.pendingLines.set(cartItemKey, {
+                quantity: confirmedQuantity,
+                current: confirmedQuantity,
+                unitPrice: priceElement ? CartStore.parseAmount(priceElement.textContent) : 0
+            });
+        }
         
-        const nonceElement = document.querySelector('[data-cart-nonce]');
-        if (nonceElement) return nonceElement.getAttribute('data-cart-nonce');
+        const line = this.pendingLines.get(cartItemKey);
+        this.renderLine(cartItem, cartItemKey, line, quantity);
+        this.clearLineError(cartItem);
+    }
+
+    confirmLine(cartItemKey, quantity) {
+        const line = this.pendingLines.get(cartItemKey);
+        if (!line) return;
         
-        // Try to get from WooCommerce params
-        if (window.wc_cart_params && window.wc_cart_params.update_cart_nonce) {
-            return window.wc_cart_params.update_cart_nonce;
+        line.quantity = quantity;
+        if (line.current === quantity) {
+            this.pendingLines.delete(cartItemKey);
         }
+    }
+
+    // A superseded request may already have changed the line on the server, so its fragments
+    // decide what the line shows; the local snapshot is only used when they cannot be loaded
+    rollbackLine(cartItem, cartItemKey, message) {
+        const line = this.pendingLines.get(cartItemKey);
+        if (!line) return;
         
-        // Fallback - this might not work in all cases
-        return '';
+        this.pendingLines.delete(cartItemKey);
+        
+        return this.requestQueue.enqueue('fragments', signal => this.store.requestFragments(signal), { delay: 0 })
+            .then(data => {
+                if (!data || !data.fragments) {
+                    throw new Error('Cart fragments missing');
+                }
+                
+                // A newer change of the cart reconciles it again
+                if (!this.requestQueue.hasPending()) {
+                    this.store.applyFragments(data.fragments, data.cart_hash, { source: 'sidebar' });
+                    this.updateSidebarFromFragments(data.fragments);
+                }
+                
+                const renderedItem = this.findCartItem(cartItemKey);
+                if (renderedItem) {
+                    this.showLineError(renderedItem, message);
+                }
+            })
+            .catch(error => {
+                if (CartRequestQueue.isAbortError(error)) return;
+                
+                this.renderLine(cartItem, cartItemKey, line, line.quantity);
+                this.showLineError(cartItem, message);
+            });
+    }
+    
+    findCartItem(cartItemKey) {
+        if (!this.sidebar) return null;
+        
+        const key = `[data-cart_item_key="${cartItemKey}"]`;
+        const match = this.sidebar.querySelector(`.woocommerce-mini-cart-item${key}, .mini-cart-item${key}, .remove_from_cart_button${key}`);
+        return match ? match.closest('.woocommerce-mini-cart-item, .mini-cart-item') : null;
+    }
+
+    renderLine(cartItem, cartItemKey, line, quantity) {
+        const delta = line.unitPrice * (quantity - line.current);
+        line.current = quantity;
+        
+        const input = cartItem.querySelector('input.qty');
+        if (input && parseFloat(input.value) !== quantity) {
+            input.value = quantity;
+        }
+        
+        const lineTotal = cartItem.querySelector('.product-subtotal .amount');
+        if (lineTotal) {
+            this.setAmountText(lineTotal, line.unitPrice * quantity);
+        }
+        
+        cartItem.classList.toggle('nasa-optimistic-removed', quantity <= 0);
+        cartItem.style.display = quantity <= 0 ? 'none' : '';
+        
+        const subtotalElement = this.sidebar.querySelector('.woocommerce-mini-cart__total .amount, .total .amount');
+        const state = this.store.getState();
+        const baseSubtotal = state.totals.subtotal ??
+            (subtotalElement ? CartStore.parseAmount(subtotalElement.textContent) : 0);
+        const subtotal = baseSubtotal + delta;
+        
+        if (subtotalElement && delta) {
+            this.setAmountText(subtotalElement, subtotal);
+        }
+        
+        this.store.setState({
+            items: state.items.map(item => item.key === cartItemKey ? { ...item, quantity: quantity } : item),
+            totals: { ...state.totals, subtotal: subtotal }
+        }, { source: 'sidebar', optimistic: true });
+    }
+
+    // Replaces the number inside a price element, currency symbol markup stays untouched
+    setAmountText(element, value) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            if (/\d/.test(node.nodeValue)) {
+                node.nodeValue = node.nodeValue.replace(/\d[\d.,]*/, CartStore.formatAmount(value, node.nodeValue));
+                return;
+            }
+        }
+    }
+
+    showLineError(cartItem, message) {
+        this.clearLineError(cartItem);
+        
+        const error = document.createElement('div');
+        error.className = 'nasa-cart-item-error woocommerce-error';
+        error.setAttribute('role', 'alert');
+        error.textContent = message;
+        cartItem.appendChild(error);
+        
+        setTimeout(() => {
+            error.remove();
+        }, 5000);
+    }
+
+    clearLineError(cartItem) {
+        cartItem.querySelectorAll('.nasa-cart-item-error').forEach(error => error.remove());
+    }
+
+    // Queued behind the mutations, only the newest fragments reach the sidebar
+    refreshAfterMutation() {
+        return this.requestQueue.enqueue('fragments', signal => this.store.requestFragments(signal), { delay: 0 })
+            .then(data => {
+                if (this.requestQueue.hasPending() || !data || !data.fragments) return;
+                
+                this.store.applyFragments(data.fragments, data.cart_hash, { source: 'sidebar' });
+                this.updateSidebarFromFragments(data.fragments);
+                
+                // Trigger cart update event
+                document.dispatchEvent(new CustomEvent('wc_cart_updated', { detail: { source: 'sidebar' } }));
+            })
+            .catch(error => {
+                if (CartRequestQueue.isAbortError(error)) return;
+                
+                console.error('Error refreshing cart after update:', error);
+                this.loadSidebarContent(true);
+            });
+    }
+
+    async handleVariationChange(trigger) {
+        const cartItem = trigger.closest('.mini-cart-item');
+        const removeButton = cartItem?.querySelector('.remove_from_cart_button');
+        const cartItemKey = removeButton?.getAttribute('data-cart_item_key');
+        const productId = cartItem?.getAttribute('data-id-product') || removeButton?.getAttribute('data-product_id');
+
+        // A line being swapped is not edited again until its new variation is in
+        if (!cartItemKey || !productId || cartItem.classList.contains('updating') || cartItem.querySelector('.nasa-cart-variation-editor')) return;
+
+        // Bundles and similar types have their own page
+        if (trigger.getAttribute('data-product_type') === 'woosb' && trigger.getAttribute('data-href')) {
+            window.location.href = trigger.getAttribute('data-href');
+            return;
+        }
+
+        this.closeVariationEditors();
+        this.clearLineError(cartItem);
+        cartItem.classList.add('updating');
+
+        try {
+            const product = await this.loadLineVariations(productId);
+            if (!product.variations.length) {
+                throw new Error('The options of this product can only be changed on the product page.');
+            }
+
+            this.openVariationEditor(cartItem, cartItemKey, product);
+        } catch (error) {
+            console.error('Error loading product variations:', error);
+            this.showLineError(cartItem, error.message || this.getMutationErrorMessage());
+        } finally {
+            cartItem.classList.remove('updating');
+        }
+    }
+
+    // Variations and attribute options come from the quick view form, cached per product
+    async loadLineVariations(productId) {
+        if (this.lineVariations.has(productId)) {
+            return this.lineVariations.get(productId);
+        }
+
+        const response = await fetch(this.endpoints.getUrl('nasa_quick_view'), {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: this.endpoints.prepareBody('nasa_quick_view', new URLSearchParams({
+                product: productId,
+                quickview: 'popup'
+            }))
+        });
+
+        const result = await CartResponse.parse(response);
+        const content = result.data && result.data.content;
+        if (!content) {
+            throw new Error(this.getMutationErrorMessage(result.status));
+        }
+
+        const doc = new DOMParser().parseFromString(`<div>${content}</div>`, 'text/html');
+        const form = doc.querySelector('.variations_form');
+        const product = { variations: [], attributes: [] };
+
+        if (form) {
+            try {
+                // "false" when the product has too many variations to print
+                product.variations = JSON.parse(form.getAttribute('data-product_variations') || '[]') || [];
+            } catch (e) {
+                product.variations = [];
+            }
+
+            product.attributes = Array.from(form.querySelectorAll('.variations select')).map(select => {
+                const name = select.getAttribute('data-attribute_name') || select.name;
+                const row = select.closest('tr');
+                const label = (select.id && form.querySelector(`label[for="${select.id}"]`)) || row?.querySelector('th, .label');
+
+                return {
+                    name: name,
+                    label: label ? label.textContent.trim() : name.replace(/^attribute_(pa_)?/, ''),
+                    options: Array.from(select.options)
+                        .filter(option => option.value)
+                        .map(option => ({ value: option.value, text: option.textContent.trim() }))
+                };
+            });
+        }
+
+        this.lineVariations.set(productId, product);
+        return product;
+    }
+
+    openVariationEditor(cartItem, cartItemKey, product) {
+        const info = cartItem.querySelector('.nasa-info-cart-item');
+        let selected = {};
+        try {
+            selected = JSON.parse(info?.getAttribute('data-variations-selected') || '{}') || {};
+        } catch (e) {
+            selected = {};
+        }
+
+        const current = WooCommerceVariations.matchVariation(product.variations, selected);
+        const editor = document.createElement('div');
+        editor.className = 'nasa-cart-variation-editor';
+
+        product.attributes.forEach(attribute => {
+            const field = document.createElement('label');
+            field.className = 'nasa-cart-variation-field';
+
+            const labelText = document.createElement('span');
+            labelText.textContent = attribute.label;
+
+            const select = document.createElement('select');
+            select.setAttribute('data-attribute_name', attribute.name);
+            attribute.options.forEach(option => {
+                select.appendChild(new Option(option.text, option.value, false, selected[attribute.name] === option.value));
+            });
+
+            field.append(labelText, select);
+            editor.appendChild(field);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'nasa-cart-variation-actions';
+        actions.innerHTML = `
+            <button type="button" class="button nasa-cart-variation-save">Update</button>
+            <a href="javascript:void(0);" class="nasa-cart-variation-cancel" rel="nofollow">Cancel</a>
+        `;
+        editor.appendChild(actions);
+
+        const saveButton = actions.querySelector('.nasa-cart-variation-save');
+        const readSelection = () => {
+            const selection = {};
+            editor.querySelectorAll('select[data-attribute_name]').forEach(select => {
+                selection[select.getAttribute('data-attribute_name')] = select.value;
+            });
+            return selection;
+        };
+        const updateState = () => {
+            const variation = WooCommerceVariations.matchVariation(product.variations, readSelection());
+            const unchanged = variation && current && variation.variation_id === current.variation_id;
+            const available = variation && variation.is_purchasable !== false && variation.is_in_stock !== false;
+
+            saveButton.disabled = !available || unchanged;
+            saveButton.classList.toggle('disabled', saveButton.disabled);
+        };
+
+        editor.addEventListener('change', updateState);
+        actions.querySelector('.nasa-cart-variation-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            editor.remove();
+        });
+        saveButton.addEventListener('click', () => {
+            const selection = readSelection();
+            const variation = WooCommerceVariations.matchVariation(product.variations, selection);
+            if (!variation || saveButton.disabled) return;
+
+            editor.remove();
+            this.swapLineVariation(cartItem, cartItemKey, variation, selection);
+        });
+
+        (info || cartItem).appendChild(editor);
+        updateState();
+        editor.querySelector('select')?.focus();
+    }
+
+    closeVariationEditors() {
+        if (!this.sidebar) return;
+        this.sidebar.querySelectorAll('.nasa-cart-variation-editor').forEach(editor => editor.remove());
+    }
+
+    // Adds the new variation before removing the old line so a failed swap never loses the item
+    swapLineVariation(cartItem, cartItemKey, variation, selection) {
+        const productId = cartItem.getAttribute('data-id-product') ||
+            cartItem.querySelector('.remove_from_cart_button')?.getAttribute('data-product_id');
+        const removeUrl = cartItem.querySelector('.remove_from_cart_button')?.href;
+        const quantity = parseFloat(cartItem.querySelector('input.qty')?.value) || this.store.getItem(cartItemKey)?.quantity || 1;
+        const wrap = cartItem.querySelector('.nasa-change_variation_mini_cart');
+
+        const body = new URLSearchParams({
+            product_id: productId,
+            quantity: quantity,
+            product_type: 'variable',
+            variation_id: variation.variation_id
+        });
+        Object.entries(selection).forEach(([name, value]) => {
+            body.append(`variation[${name}]`, value);
+            body.append(name, value);
+        });
+
+        // Personalisation and other add-on fields posted with the original line
+        const info = cartItem.querySelector('.nasa-info-cart-item');
+        let customFields = {};
+        try {
+            customFields = JSON.parse((info || cartItem).getAttribute('data-custom-fields') || '{}') || {};
+            Object.entries(customFields).forEach(([name, value]) => body.append(name, value));
+        } catch (e) {
+            console.warn('Ignoring malformed cart item custom fields');
+        }
+        const knownKeys = this.store.getState().items.map(item => item.key);
+
+        let added = false;
+        cartItem.classList.add('updating');
+        wrap?.classList.add('nasa-cart-variation-updating');
+
+        this.requestQueue.enqueue(`item:${cartItemKey}`, async signal => {
+            const response = await fetch(this.endpoints.getUrl('nasa_single_add_to_cart'), {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: this.endpoints.prepareBody('nasa_single_add_to_cart', body),
+                signal: signal
+            });
+
+            const result = await CartResponse.parse(response);
+            if (!result.success) {
+                throw new Error(CartResponse.getMessage(result, 'error') || this.getMutationErrorMessage(result.status));
+            }
+
+            // Once the new line exists the removal must not be aborted
+            added = true;
+            return removeUrl ? this.sendRemoval(removeUrl) : result;
+        }, { delay: 0 })
+            .then(() => {
+                this.pendingLines.delete(cartItemKey);
+                this.refreshAfterMutation();
+
+                // The new line carries the same add-on values into the next swap
+                if (Object.keys(customFields).length) {
+                    this.store.waitForAddedItem(knownKeys, { productId: productId }).then(item => {
+                        if (item) {
+                            WooCommerceCartSidebar.rememberLineFields(item.key, customFields);
+                            this.stampLineFields();
+                        }
+                    });
+                }
+            })
+            .catch(error => {
+                if (CartRequestQueue.isAbortError(error)) return;
+
+                cartItem.classList.remove('updating');
+                this.showLineError(cartItem, error.message || this.getMutationErrorMessage());
+
+                // Both lines are in the cart now, show what the server has
+                if (added) {
+                    this.refreshAfterMutation();
+                }
+            })
+            .finally(() => {
+                wrap?.classList.remove('nasa-cart-variation-updating');
+            });
+    }
+
+    // Add-on field values ({ name: value }) each line was added with, for the variation swap
+    static getLineFields() {
+        try {
+            return JSON.parse(window.sessionStorage.getItem('nasa_cart_line_fields') || '{}') || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static rememberLineFields(cartItemKey, fields) {
+        const lines = WooCommerceCartSidebar.getLineFields();
+        lines[cartItemKey] = fields;
+
+        try {
+            window.sessionStorage.setItem('nasa_cart_line_fields', JSON.stringify(lines));
+        } catch (error) {
+            // Without storage a swapped line is added without its add-on values
+        }
+    }
+
+    // The mini cart template does not print the values, lines get them from what was posted
+    stampLineFields() {
+        if (!this.sidebar) return;
+
+        Object.entries(WooCommerceCartSidebar.getLineFields()).forEach(([cartItemKey, fields]) => {
+            const cartItem = this.findCartItem(cartItemKey);
+            if (!cartItem) return;
+
+            const holder = cartItem.querySelector('.nasa-info-cart-item') || cartItem;
+            if (!holder.hasAttribute('data-custom-fields')) {
+                holder.setAttribute('data-custom-fields', JSON.stringify(fields));
+            }
+        });
+    }
+
+    getUpdateCartNonce() {
+        // Cached or read from the page (cart nonce input, data attribute, wc_cart_params)
+        return this.nonces.read('woocommerce_update_cart_item_quantity');
     }
 
     getLoadingHTML() {
@@ -645,3 +1234,4 @@ const wooCartSidebar = new WooCommerceCartSidebar();
 
 // Export for global access
 window.WooCommerceCartSidebar = WooCommerceCartSidebar;
+window.wooCartSidebar = wooCartSidebar;
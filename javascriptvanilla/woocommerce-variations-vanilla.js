@@ -3,44 +3,44 @@
  * Replaces jQuery-dependent functionality for product variations
  */
 
-class WooCommerceVariations {
-    constructor() {
+// One controller per .variations_form, so quick views, quick-adds and bundles keep separate state
+class VariationFormController {
+    constructor(form, manager) {
+        this.form = form;
+        this.manager = manager;
+        this.productId = VariationFormController.getProductId(form);
         this.variations = [];
         this.selectedAttributes = {};
         this.currentVariation = null;
-        this.form = null;
-        this.cartSidebar = null;
-        
-        this.init();
+        this.useAjax = false;
+        this.swatches = null;
+        this.urlSync = null;
+        this.gallery = null;
+        this.bulkDiscount = null;
+        this.personalization = null;
+        this.syncingSelect = false;
+        this.availability = null;
+        this.loader = window.nasaVariationLoader;
+        this.probing = false;
+        this.probeController = null;
+        this.abortController = new AbortController();
+        // Last add to cart answer, added_to_cart only carries WooCommerce's (fragments, cart_hash, button)
+        this.lastAddToCartResponse = null;
     }
 
-    init() {
-        // Wait for DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initializeVariations());
-        } else {
-            this.initializeVariations();
-        }
+    static getProductId(form) {
+        const input = form.querySelector('input[name="product_id"], [name="add-to-cart"]');
+        return String(form.getAttribute('data-product_id') || (input && input.value) || '');
     }
 
-    initializeVariations() {
-        // Find variation forms
-        const variationForms = document.querySelectorAll('.variations_form');
-        
-        variationForms.forEach(form => {
-            this.setupForm(form);
-        });
-
-        // Setup cart sidebar
-        this.setupCartSidebar();
-        
-        // Setup quantity controls
-        this.setupQuantityControls();
+    // Listeners are dropped together on destroy()
+    listen(element, type, handler) {
+        element.addEventListener(type, handler, { signal: this.abortController.signal });
     }
 
-    setupForm(form) {
-        this.form = form;
-        
+    setup() {
+        const form = this.form;
+
         // Get variations data from form
         const variationsData = form.getAttribute('data-product_variations');
         if (variationsData) {
@@ -48,10 +48,22 @@ class WooCommerceVariations {
                 this.variations = JSON.parse(variationsData.replace(/&quot;/g, '"'));
             } catch (e) {
                 console.error('Error parsing variations data:', e);
-                return;
+                return false;
             }
         }
 
+        // Over the AJAX threshold WooCommerce prints false, variations are then looked up per selection
+        if (!Array.isArray(this.variations)) {
+            this.variations = [];
+            this.useAjax = !!this.loader;
+        }
+
+        // Swatches from attribute metadata, for selects the server did not render them for
+        if (window.VariationSwatches) {
+            this.swatches = new VariationSwatches(form);
+            this.swatches.render();
+        }
+
         // Setup attribute selection handlers
         this.setupAttributeHandlers(form);
         
@@ -60,9 +72,26 @@ class WooCommerceVariations {
         
         // Setup reset variations handler
         this.setupResetHandler(form);
+
+        // Quantity tier table of variations with a bulk discount
+        if (window.BulkDiscountTable) {
+            this.bulkDiscount = new BulkDiscountTable(this);
+        }
+
+        // Personalization block of variations that allow it
+        if (window.PersonalizationFields) {
+            this.personalization = new PersonalizationFields(this);
+        }
+
+        // attribute_* query parameters preselect the variation of a shared link
+        if (window.VariationUrlSync && VariationUrlSync.shouldSync(form)) {
+            this.urlSync = new VariationUrlSync(this);
+            this.setSelection(this.urlSync.read(), true);
+        }
         
         // Initial state
         this.updateVariationDisplay();
+        return true;
     }
 
     setupAttributeHandlers(form) {
@@ -70,7 +99,11 @@ class WooCommerceVariations {
         const attrElements = form.querySelectorAll('.nasa-attr-ux');
         
         attrElements.forEach(element => {
-            element.addEventListener('click', (e) => {
+            // Images of the swatch under the pointer are fetched before it is chosen
+            this.listen(element, 'mouseenter', () => this.preloadOptionImages(element));
+            this.listen(element, 'focus', () => this.preloadOptionImages(element));
+
+            this.listen(element, 'click', (e) => {
                 e.preventDefault();
                 this.handleAttributeSelection(element);
             });
@@ -80,7 +113,7 @@ class WooCommerceVariations {
         const selectElements = form.querySelectorAll('.variations select');
         
         selectElements.forEach(select => {
-            select.addEventListener('change', (e) => {
+            this.listen(select, 'change', (e) => {
                 this.handleSelectChange(select);
             });
         });
@@ -95,13 +128,14 @@ class WooCommerceVariations {
         const attributeName = element.closest('.nasa-attr-ux_wrap').getAttribute('data-attribute_name');
         const value = element.getAttribute('data-value');
         const select = this.form.querySelector(`select[data-attribute_name="${attributeName}"]`);
+        const wasSelected = element.classList.contains('selected');
 
         // Remove selected class from siblings
         const siblings = element.parentElement.querySelectorAll('.nasa-attr-ux');
         siblings.forEach(sibling => sibling.classList.remove('selected'));
 
         // Toggle selection
-        if (element.classList.contains('selected')) {
+        if (wasSelected) {
             // Deselect
             delete this.selectedAttributes[attributeName];
             if (select) select.value = '';
@@ -112,10 +146,20 @@ class WooCommerceVariations {
             if (select) select.value = value;
         }
 
+        // Other scripts listening on the hidden select see the swatch choice
+        if (select) {
+            this.syncingSelect = true;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+            this.syncingSelect = false;
+        }
+
+        this.syncUrl();
         this.updateVariationDisplay();
     }
 
     handleSelectChange(select) {
+        if (this.syncingSelect) return;
+
         const attributeName = select.getAttribute('data-attribute_name');
         const value = select.value;
 
@@ -137,10 +181,53 @@ class WooCommerceVariations {
             delete this.selectedAttributes[attributeName];
         }
 
+        this.syncUrl();
         this.updateVariationDisplay();
     }
 
+    // Selects, swatches and state from an { attribute_name: value } map, unknown values are dropped
+    setSelection(selection, keepOthers = false) {
+        this.getAttributeNames().forEach(name => {
+            if (keepOthers && !(name in selection)) return;
+
+            const select = this.form.querySelector(`.variations select[data-attribute_name="${name}"], .variations select[name="${name}"]`);
+            let value = selection[name] || '';
+
+            if (select && value && !Array.from(select.options).some(option => option.value === value)) {
+                value = '';
+            }
+
+            if (select) select.value = value;
+
+            if (value) {
+                this.selectedAttributes[name] = value;
+            } else {
+                delete this.selectedAttributes[name];
+            }
+
+            this.form.querySelectorAll(`.nasa-attr-ux_wrap[data-attribute_name="${name}"] .nasa-attr-ux`).forEach(el => {
+                el.classList.toggle('selected', !!value && el.getAttribute('data-value') === value);
+            });
+        });
+    }
+
+    applySelection(selection) {
+        this.setSelection(selection);
+        this.updateVariationDisplay();
+    }
+
+    syncUrl() {
+        if (this.urlSync) {
+            this.urlSync.write(this.selectedAttributes);
+        }
+    }
+
     updateVariationDisplay() {
+        if (this.useAjax) {
+            this.updateLazyVariationDisplay();
+            return;
+        }
+
         // Find matching variation
         const matchingVariation = this.findMatchingVariation();
         
@@ -160,20 +247,58 @@ class WooCommerceVariations {
     }
 
     findMatchingVariation() {
-        return this.variations.find(variation => {
-            return Object.keys(variation.attributes).every(attr => {
-                const variationValue = variation.attributes[attr];
-                const selectedValue = this.selectedAttributes[attr];
-                
-                // If no selection for this attribute, it matches if variation allows any value
-                if (!selectedValue) {
-                    return !variationValue || variationValue === '';
+        return WooCommerceVariations.matchVariation(this.variations, this.selectedAttributes);
+    }
+
+    getAttributeNames() {
+        return Array.from(this.form.querySelectorAll('.variations select'))
+            .map(select => select.getAttribute('data-attribute_name') || select.name)
+            .filter(Boolean);
+    }
+
+    isSelectionComplete(attributes) {
+        return this.getAttributeNames().every(name => !!attributes[name]);
+    }
+
+    getLookupAttributes(attributes) {
+        const lookup = {};
+        this.getAttributeNames().forEach(name => {
+            lookup[name] = attributes[name] || '';
+        });
+        return lookup;
+    }
+
+    updateLazyVariationDisplay() {
+        const selection = this.getLookupAttributes(this.selectedAttributes);
+        const selectionKey = VariationLoader.cacheKey(selection);
+
+        this.currentVariation = null;
+        this.hideVariation();
+        this.updateAvailableOptions();
+        this.updateResetButton();
+
+        if (!this.isSelectionComplete(selection)) return;
+
+        this.form.classList.add('nasa-variation-loading');
+
+        this.loader.get(this.productId, selection, { customData: this.form.getAttribute('data-custom_data') })
+            .then(variation => {
+                // The shopper changed the selection while this was loading
+                if (VariationLoader.cacheKey(this.getLookupAttributes(this.selectedAttributes)) !== selectionKey) return;
+
+                if (variation) {
+                    this.currentVariation = variation;
+                    this.showVariation(variation);
+                } else {
+                    this.triggerEvent('nasa_no_matching_variation', { attributes: selection });
                 }
-                
-                // If variation has specific value, it must match selection
-                return !variationValue || variationValue === '' || variationValue === selectedValue;
+            })
+            .catch(error => {
+                console.error('Error loading variation:', error);
+            })
+            .finally(() => {
+                this.form.classList.remove('nasa-variation-loading');
             });
-        });
     }
 
     showVariation(variation) {
@@ -218,7 +343,7 @@ class WooCommerceVariations {
         this.updateProductImage(variation);
 
         // Trigger custom events
-        this.triggerEvent('show_variation', { variation: variation });
+        this.triggerEvent('show_variation', { variation: variation, purchasable: !!variation.is_purchasable && !!variation.is_in_stock });
     }
 
     hideVariation() {
@@ -270,24 +395,138 @@ class WooCommerceVariations {
                 } else {
                     option.classList.add('nasa-disable');
                 }
+                option.setAttribute('aria-disabled', isAvailable ? 'false' : 'true');
+
+                this.markStockStatus(option, this.getOptionStockStatus(attributeName, value));
+            });
+        });
+
+        this.form.querySelectorAll('.variations select').forEach(select => {
+            const attributeName = select.getAttribute('data-attribute_name') || select.name;
+
+            Array.from(select.options).forEach(option => {
+                if (option.value) {
+                    this.markStockStatus(option, this.getOptionStockStatus(attributeName, option.value));
+                }
+            });
+        });
+
+        if (this.swatches) {
+            this.swatches.refresh();
+        }
+
+        if (this.useAjax) {
+            this.probeAvailableOptions();
+        }
+    }
+
+    // Looks up the combinations one option away from the current selection, then re-marks availability.
+    // The loader caches every answer, a few run at a time and a newer selection aborts the rest
+    probeAvailableOptions() {
+        if (this.probing) return;
+
+        if (this.probeController) {
+            this.probeController.abort();
+            this.probeController = null;
+        }
+
+        const probes = new Map();
+        this.form.querySelectorAll('.nasa-attr-ux_wrap').forEach(wrap => {
+            const attributeName = wrap.getAttribute('data-attribute_name');
+
+            wrap.querySelectorAll('.nasa-attr-ux').forEach(option => {
+                const lookup = this.getLookupAttributes({ ...this.selectedAttributes, [attributeName]: option.getAttribute('data-value') });
+
+                if (this.isSelectionComplete(lookup) && this.loader.peek(this.productId, lookup) === undefined) {
+                    probes.set(VariationLoader.cacheKey(lookup), lookup);
+                }
             });
         });
+
+        if (!probes.size) return;
+
+        const controller = new AbortController();
+        const queue = Array.from(probes.values()).slice(0, VariationFormController.maxProbes);
+        const customData = this.form.getAttribute('data-custom_data');
+        this.probeController = controller;
+
+        const next = () => {
+            if (!queue.length || controller.signal.aborted) return Promise.resolve();
+
+            return this.loader.get(this.productId, queue.shift(), { customData: customData, signal: controller.signal })
+                .catch(() => null)
+                .then(next);
+        };
+
+        const workers = Math.min(VariationFormController.probeConcurrency, queue.length);
+        Promise.all(Array.from({ length: workers }, next)).then(() => {
+            if (controller.signal.aborted) return;
+            this.probeController = null;
+
+            // Re-marked while flagged, so the next batch waits for the next selection change
+            if (this.form.isConnected) {
+                this.probing = true;
+                this.updateAvailableOptions();
+                this.probing = false;
+            }
+        });
     }
 
+    // Available means it leads to a variation in stock or on backorder
     isOptionAvailable(attributeName, value) {
         // Create test attributes with this option selected
         const testAttributes = { ...this.selectedAttributes };
         testAttributes[attributeName] = value;
 
-        // Check if any variation matches these attributes
-        return this.variations.some(variation => {
-            return Object.keys(testAttributes).every(attr => {
-                const variationValue = variation.attributes[attr];
-                const testValue = testAttributes[attr];
-                
-                return !variationValue || variationValue === '' || variationValue === testValue;
+        // Lazy mode only knows combinations that were looked up, unknown ones stay selectable
+        if (this.useAjax) {
+            const lookup = this.getLookupAttributes(testAttributes);
+            if (!this.isSelectionComplete(lookup)) return true;
+
+            const variation = this.loader.peek(this.productId, lookup);
+            return variation === undefined || (variation !== null && VariationAvailabilityIndex.getStockStatus(variation) !== 'outofstock');
+        }
+
+        return this.getAvailabilityIndex().isPurchasable(this.selectedAttributes, attributeName, value);
+    }
+
+    // 'instock', 'onbackorder', 'outofstock', null for no variation, undefined while unknown (lazy mode)
+    getOptionStockStatus(attributeName, value) {
+        if (!this.useAjax) {
+            return this.getAvailabilityIndex().getOptionStatus(this.selectedAttributes, attributeName, value);
+        }
+
+        const lookup = this.getLookupAttributes({ ...this.selectedAttributes, [attributeName]: value });
+        if (!this.isSelectionComplete(lookup)) return undefined;
+
+        const variation = this.loader.peek(this.productId, lookup);
+        return variation ? VariationAvailabilityIndex.getStockStatus(variation) : variation;
+    }
+
+    // Built once per form, option values from the selects cover variations set to "any"
+    getAvailabilityIndex() {
+        if (!this.availability) {
+            const attributeOptions = {};
+            this.form.querySelectorAll('.variations select').forEach(select => {
+                attributeOptions[select.getAttribute('data-attribute_name') || select.name] =
+                    Array.from(select.options).map(option => option.value);
             });
-        });
+
+            this.availability = new VariationAvailabilityIndex(this.variations, attributeOptions);
+        }
+
+        return this.availability;
+    }
+
+    markStockStatus(option, status) {
+        option.classList.toggle('nasa-out-of-stock', status === 'outofstock');
+        option.classList.toggle('nasa-backorder', status === 'onbackorder');
+
+        if (status) {
+            option.setAttribute('data-stock_status', status);
+        } else {
+            option.removeAttribute('data-stock_status');
+        }
     }
 
     updateQuantityLimits(variation) {
@@ -312,9 +551,55 @@ class WooCommerceVariations {
         }
     }
 
+    preloadOptionImages(element) {
+        if (!window.VariationGallery || element.classList.contains('nasa-disable')) return;
+
+        const attributeName = element.closest('.nasa-attr-ux_wrap').getAttribute('data-attribute_name');
+        const selection = { ...this.selectedAttributes, [attributeName]: element.getAttribute('data-value') };
+        let variations;
+
+        if (this.useAjax) {
+            const lookup = this.getLookupAttributes(selection);
+            const variation = this.isSelectionComplete(lookup) ? this.loader.peek(this.productId, lookup) : null;
+            variations = variation ? [variation] : [];
+        } else {
+            variations = this.variations.filter(variation => {
+                return Object.keys(selection).every(attr => {
+                    const value = variation.attributes[attr];
+                    return !value || value === selection[attr];
+                });
+            });
+        }
+
+        // Usually one colour shares an image set, a few variations are enough
+        variations.slice(0, 3).forEach(variation => {
+            const images = VariationGallery.getImages(variation);
+            VariationGallery.preload(images.length ? images : (variation.image && variation.image.src ? [variation.image] : []));
+        });
+    }
+
+    // The gallery of the product this form belongs to, not every gallery on the page
+    getGalleryScope() {
+        return this.form.closest('.product-lightbox, .product, .nasa-product-details-page') || document;
+    }
+
+    getGallery() {
+        if (!this.gallery && window.VariationGallery) {
+            this.gallery = new VariationGallery(this.getGalleryScope());
+        }
+        return this.gallery;
+    }
+
     updateProductImage(variation) {
+        // A full image set replaces the gallery, otherwise only the main image is swapped
+        const gallery = this.getGallery();
+        const images = window.VariationGallery ? VariationGallery.getImages(variation) : [];
+
+        if (gallery && gallery.show(images)) return;
+        if (gallery) gallery.reset();
+
         if (variation.image && variation.image.src) {
-            const productImages = document.querySelectorAll('.woocommerce-product-gallery__image img');
+            const productImages = this.getGalleryScope().querySelectorAll('.woocommerce-product-gallery__image img');
             
             productImages.forEach(img => {
                 if (img.classList.contains('wp-post-image')) {
@@ -350,7 +635,7 @@ class WooCommerceVariations {
         const resetButton = form.querySelector('.reset_variations');
         
         if (resetButton) {
-            resetButton.addEventListener('click', (e) => {
+            this.listen(resetButton, 'click', (e) => {
                 e.preventDefault();
                 this.resetVariations();
             });
@@ -373,6 +658,8 @@ class WooCommerceVariations {
         // Reset product images
         this.resetProductImages();
 
+        this.syncUrl();
+
         // Update display
         this.updateVariationDisplay();
 
@@ -381,7 +668,11 @@ class WooCommerceVariations {
     }
 
     resetProductImages() {
-        const productImages = document.querySelectorAll('.woocommerce-product-gallery__image img');
+        if (this.gallery) {
+            this.gallery.reset();
+        }
+
+        const productImages = this.getGalleryScope().querySelectorAll('.woocommerce-product-gallery__image img');
         
         productImages.forEach(img => {
             if (img.hasAttribute('data-original-src')) {
@@ -395,9 +686,14 @@ class WooCommerceVariations {
         const addToCartButton = form.querySelector('.single_add_to_cart_button');
         
         if (addToCartButton) {
-            addToCartButton.addEventListener('click', (e) => {
+            this.listen(addToCartButton, 'click', (e) => {
                 if (addToCartButton.classList.contains('disabled')) {
                     e.preventDefault();
+
+                    // Missing options are pointed out inline
+                    if (window.nasaAddToCartValidator && !window.nasaAddToCartValidator.validate(form)) {
+                        return false;
+                    }
                     
                     if (addToCartButton.classList.contains('wc-variation-is-unavailable')) {
                         alert('Sorry, this product is unavailable. Please choose a different combination.');
@@ -409,14 +705,34 @@ class WooCommerceVariations {
                 
                 // If not disabled, proceed with AJAX add to cart
                 e.preventDefault();
+
+                // Personalization fields are checked with the rest of the form
+                if (window.nasaAddToCartValidator && !window.nasaAddToCartValidator.validate(form)) {
+                    return false;
+                }
+
+                if (this.personalization) {
+                    this.personalization.capture();
+                }
+
                 this.addToCart(form);
             });
         }
     }
 
     addToCart(form) {
+        // Personalization fields sit inside the form, files included
         const formData = new FormData(form);
         const addToCartButton = form.querySelector('.single_add_to_cart_button');
+
+        if (this.personalization) {
+            this.personalization.snapshotCart();
+        }
+
+        // Lines that existed before this request, and the add-on values the new one is added with
+        const store = window.nasaCartStore;
+        const knownKeys = store ? store.getState().items.map(item => item.key) : [];
+        const lineFields = this.collectLineFields(form);
         
         // Add loading state
         if (addToCartButton) {
@@ -436,13 +752,19 @@ class WooCommerceVariations {
             }
             
             if (xhr.status === 200) {
+                let response = null;
                 try {
-                    const response = JSON.parse(xhr.responseText);
-                    this.handleAddToCartResponse(response);
+                    response = JSON.parse(xhr.responseText);
                 } catch (e) {
-                    // Handle non-JSON response (likely success redirect)
-                    this.showCartSidebar();
-                    this.updateCartFragments();
+                    // Non-JSON response: the product page of a regular form post
+                }
+
+                if (response) {
+                    this.manager.handleAddToCartResponse(response, this);
+                    this.rememberLineFields(knownKeys, lineFields, response);
+                } else {
+                    this.manager.handleFormPostResponse(this)
+                        .then(result => this.rememberLineFields(knownKeys, lineFields, result));
                 }
             } else {
                 console.error('Add to cart failed:', xhr.statusText);
@@ -460,20 +782,245 @@ class WooCommerceVariations {
         xhr.send(formData);
     }
 
-    handleAddToCartResponse(response) {
+    // Typed add-on values (personalisation etc.), uploaded files cannot be posted again
+    collectLineFields(form) {
+        const fields = {};
+
+        form.querySelectorAll('.nasa-ct-fields-add-to-cart, .nasa-custom-fields').forEach(block => {
+            block.querySelectorAll('input, textarea, select').forEach(field => {
+                if (!field.name || field.name === 'nasa_cart_sidebar' || ['hidden', 'file'].includes(field.type)) return;
+                if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) return;
+
+                if (field.value !== '') {
+                    fields[field.name] = field.value;
+                }
+            });
+        });
+
+        return fields;
+    }
+
+    rememberLineFields(knownKeys, fields, response) {
+        const store = window.nasaCartStore;
+        if (!store || !window.WooCommerceCartSidebar || response.error || !Object.keys(fields).length) return;
+
+        store.waitForAddedItem(knownKeys, { key: response.cart_item_key, productId: this.productId }).then(item => {
+            if (!item) return;
+
+            WooCommerceCartSidebar.rememberLineFields(item.key, fields);
+            if (window.wooCartSidebar) {
+                window.wooCartSidebar.stampLineFields();
+            }
+        });
+    }
+
+    triggerEvent(eventName, detail = {}) {
+        // Bubbles up to document for listeners that are not bound to this form
+        const target = this.form.isConnected ? this.form : document;
+
+        // The bus also hands jQuery handlers their positional arguments
+        if (window.nasaEventBus) {
+            window.nasaEventBus.emit(eventName, detail, target);
+            return;
+        }
+
+        const event = new CustomEvent(eventName, {
+            detail: detail,
+            bubbles: true,
+            cancelable: true
+        });
+        
+        target.dispatchEvent(event);
+    }
+
+    destroy() {
+        this.abortController.abort();
+        if (this.probeController) {
+            this.probeController.abort();
+        }
+        if (this.urlSync) {
+            this.urlSync.destroy();
+        }
+        this.form.removeAttribute('data-initialized');
+        this.currentVariation = null;
+        this.triggerEvent('nasa_variation_form_destroyed', { productId: this.productId });
+    }
+}
+
+VariationFormController.maxProbes = 24;
+VariationFormController.probeConcurrency = 4;
+
+class WooCommerceVariations {
+    constructor() {
+        this.controllers = new Map();
+        this.formControllers = new WeakMap();
+        this.cartSidebar = null;
+        this.observer = null;
+        this.scanFrame = null;
+        this.store = window.nasaCartStore;
+        
+        this.init();
+    }
+
+    init() {
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.initializeVariations());
+        } else {
+            this.initializeVariations();
+        }
+    }
+
+    initializeVariations() {
+        // Find variation forms
+        const variationForms = document.querySelectorAll('.variations_form');
+        
+        variationForms.forEach(form => {
+            this.setupForm(form);
+        });
+
+        // Forms added later are set up, removed ones torn down
+        this.observeForms();
+
+        // Setup cart sidebar
+        this.setupCartSidebar();
+        
+        // Setup quantity controls
+        this.setupQuantityControls();
+    }
+
+    setupForm(form) {
+        if (this.formControllers.has(form)) {
+            return this.formControllers.get(form);
+        }
+
+        const controller = new VariationFormController(form, this);
+        if (!controller.setup()) {
+            // Flagged so the observer does not retry a form with broken data
+            controller.abortController.abort();
+            form.setAttribute('data-initialized', 'false');
+            return null;
+        }
+
+        form.setAttribute('data-initialized', 'true');
+        this.formControllers.set(form, controller);
+
+        if (!this.controllers.has(controller.productId)) {
+            this.controllers.set(controller.productId, new Set());
+        }
+        this.controllers.get(controller.productId).add(controller);
+
+        return controller;
+    }
+
+    teardownForm(form) {
+        const controller = this.formControllers.get(form);
+        if (!controller) return;
+
+        controller.destroy();
+        this.formControllers.delete(form);
+
+        const productControllers = this.controllers.get(controller.productId);
+        if (productControllers) {
+            productControllers.delete(controller);
+            if (!productControllers.size) {
+                this.controllers.delete(controller.productId);
+            }
+        }
+    }
+
+    // A form element, or the product ID (first registered form of that product)
+    getController(formOrProductId) {
+        if (formOrProductId instanceof Element) {
+            const form = formOrProductId.closest('.variations_form');
+            return form ? this.formControllers.get(form) || null : null;
+        }
+
+        return this.getControllers(formOrProductId)[0] || null;
+    }
+
+    getControllers(productId) {
+        return Array.from(this.controllers.get(String(productId)) || []);
+    }
+
+    observeForms() {
+        if (this.observer || typeof MutationObserver !== 'function') return;
+
+        const isElement = node => node.nodeType === Node.ELEMENT_NODE;
+
+        this.observer = new MutationObserver(mutations => {
+            // Text and attribute churn (prices, counters) never adds or removes a form
+            const changed = mutations.some(mutation => {
+                return Array.from(mutation.addedNodes).some(isElement) || Array.from(mutation.removedNodes).some(isElement);
+            });
+            if (!changed || this.scanFrame) return;
+
+            // One scan per frame, however many mutations the frame brings
+            this.scanFrame = requestAnimationFrame(() => {
+                this.scanFrame = null;
+                this.scanForms();
+            });
+        });
+
+        this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    scanForms() {
+        this.controllers.forEach(productControllers => {
+            productControllers.forEach(controller => {
+                if (!controller.form.isConnected) {
+                    this.teardownForm(controller.form);
+                }
+            });
+        });
+
+        document.querySelectorAll('.variations_form:not([data-initialized])').forEach(form => this.setupForm(form));
+    }
+
+    // Shared with the cart sidebar's inline variation editor
+    static matchVariation(variations, selectedAttributes) {
+        return variations.find(variation => {
+            return Object.keys(variation.attributes).every(attr => {
+                const variationValue = variation.attributes[attr];
+                const selectedValue = selectedAttributes[attr];
+                
+                // If no selection for this attribute, it matches if variation allows any value
+                if (!selectedValue) {
+                    return !variationValue || variationValue === '';
+                }
+                
+                // If variation has specific value, it must match selection
+                return !variationValue || variationValue === '' || variationValue === selectedValue;
+            });
+        });
+    }
+
+    handleAddToCartResponse(response, controller = null) {
     if (response.error) {
         alert(response.error);
         return;
     }
 
-    // ✅ Only load content — showing happens after it loads
-    this.loadCartContent();
-
     if (response.fragments) {
+        if (this.store) {
+            this.store.applyFragments(response.fragments, response.cart_hash, { source: 'variations' });
+        }
         this.updateCartFragments(response.fragments);
     }
 
-    this.triggerEvent('added_to_cart', { response: response });
+    // The after add to cart strategies decide whether the sidebar opens
+    if (!window.nasaAfterAddToCart) {
+        // ✅ Only load content — showing happens after it loads
+        this.loadCartContent();
+    }
+
+    if (controller) {
+        const button = controller.form.querySelector('.single_add_to_cart_button');
+        controller.lastAddToCartResponse = response;
+        controller.triggerEvent('added_to_cart', [response.fragments, response.cart_hash, button]);
+    } else {
+        this.triggerEvent('added_to_cart', [response.fragments, response.cart_hash]);
+    }
 }
 
 
@@ -500,9 +1047,31 @@ class WooCommerceVariations {
         }
     }
 
+    // The cart is read back before anyone hears of the add, the strategies then decide what is shown
+    handleFormPostResponse(controller) {
+        const refresh = this.store ? this.store.fetchFragments({ source: 'variations' }) : Promise.resolve(null);
+
+        return refresh
+            .catch(() => null)
+            .then(data => {
+                const response = { fragments: data && data.fragments, cart_hash: data && data.cart_hash };
+                this.handleAddToCartResponse(response, controller);
+                return response;
+            });
+    }
+
     showCartSidebar() {
         if (!this.cartSidebar) return;
         
+        this.displayCartSidebar();
+        
+        // Load cart content if needed
+        this.loadCartContent();
+    }
+
+    displayCartSidebar() {
+        if (!this.cartSidebar) return;
+        
         // Show background overlay
         const blackWindow = document.querySelector('.black-window');
         if (blackWindow) {
@@ -515,9 +1084,9 @@ class WooCommerceVariations {
         
         // Show cart sidebar
         this.cartSidebar.classList.add('nasa-active');
-        
-        // Load cart content if needed
-        this.loadCartContent();
+        if (this.store) {
+            this.store.setOpen(true, { source: 'variations' });
+        }
     }
 
     hideCartSidebar() {
@@ -535,33 +1104,28 @@ class WooCommerceVariations {
         
         // Hide cart sidebar
         this.cartSidebar.classList.remove('nasa-active');
+        if (this.store) {
+            this.store.setOpen(false, { source: 'variations' });
+        }
     }
 
     loadCartContent() {
-    const cartContent = this.cartSidebar.querySelector('.widget_shopping_cart_content');
-
-    const xhr = new XMLHttpRequest();
-    xhr.open('GET', window.location.origin + '/?wc-ajax=get_refreshed_fragments');
-    xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+    if (!this.store) {
+        this.displayCartSidebar();
+        return;
+    }
 
-    xhr.onload = () => {
-        if (xhr.status === 200) {
-            try {
-                const response = JSON.parse(xhr.responseText);
+    this.store.fetchFragments({ source: 'variations' })
+        .then(response => {
+            if (response && response.fragments) {
                 this.updateCartFragments(response.fragments);
-                // ✅ Show cart only after content loads
-                this.displayCartSidebar();
-            } catch (e) {
-                console.error('Error parsing cart content:', e);
             }
-        }
-    };
-
-    xhr.onerror = () => {
-        console.error('Failed to load cart content.');
-    };
-
-    xhr.send();
+            // ✅ Show cart only after content loads
+            this.displayCartSidebar();
+        })
+        .catch(error => {
+            console.error('Failed to load cart content.', error);
+        });
 }
 
 
@@ -591,7 +1155,6 @@ class WooCommerceVariations {
         // Setup any new variation forms that might have been added
         const newForms = document.querySelectorAll('.variations_form:not([data-initialized])');
         newForms.forEach(form => {
-            form.setAttribute('data-initialized', 'true');
             this.setupForm(form);
         });
     }
@@ -634,17 +1197,18 @@ class WooCommerceVariations {
     }
 
     triggerEvent(eventName, detail = {}) {
+        if (window.nasaEventBus) {
+            window.nasaEventBus.emit(eventName, detail, document);
+            return;
+        }
+
         const event = new CustomEvent(eventName, {
             detail: detail,
             bubbles: true,
             cancelable: true
         });
         
-        if (this.form) {
-            this.form.dispatchEvent(event);
-        } else {
-            document.dispatchEvent(event);
-        }
+        document.dispatchEvent(event);
     }
 }
 
@@ -653,3 +1217,5 @@ const wooVariations = new WooCommerceVariations();
 
 // Export for global access if needed
 window.WooCommerceVariations = WooCommerceVariations;
+window.VariationFormController = VariationFormController;
+window.wooVariations = wooVariations;
@@ -1277,6 +1277,15 @@ jQuery(document).ready(function ($) {
         var is_update_mini_cart = $(_cart_sidebar).hasClass('nasa_update_from_mini_cart')? true : false;
 
         $('#cart-sidebar .widget_shopping_cart_content_frag').remove();
+
+        /**
+         * Handled by the after add to cart strategies (javascriptvanilla/after-add-to-cart.js)
+         */
+        if (typeof window.nasaAfterAddToCart !== 'undefined') {
+            ev.preventDefault();
+            return;
+        }
+
         /**
          * Not _button
          */
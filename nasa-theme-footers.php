@@ -1133,3 +1133,28 @@ if (!function_exists('elessi_delay_tag_js_files')) :
         return $tag;
     }
 endif;
+
+/**
+ * Add To Cart With Options block - theme add to cart bridge
+ * 
+ * Enqueued while the block renders, after WooCommerce's own view module, so the
+ * block store exists when add-to-cart-with-options.js wraps it
+ */
+add_filter('render_block_woocommerce/add-to-cart-with-options', 'elessi_add_to_cart_with_options_bridge');
+if (!function_exists('elessi_add_to_cart_with_options_bridge')) :
+    function elessi_add_to_cart_with_options_bridge($block_content) {
+        if (!function_exists('wp_register_script_module')) {
+            return $block_content;
+        }
+        
+        wp_register_script_module(
+            'elessi-add-to-cart-with-options',
+            ELESSI_THEME_URI . '/javascriptvanilla/add-to-cart-with-options.js',
+            array('@wordpress/interactivity')
+        );
+        
+        wp_enqueue_script_module('elessi-add-to-cart-with-options');
+        
+        return $block_content;
+    }
+endif;